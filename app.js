@@ -9,24 +9,50 @@ import {
   FOIL_START,
   JUMPSTART_SETS,
   DRAFT_ONLY_SETS,
+  hasSetBoosters,
   SPECIAL_GUESTS_RANGES,
   SETS_WITH_BIG_SCORE,
   SETS_WITH_SPECIAL_GUESTS,
   BONUS_SHEET_SETS,
-} from 'https://bensonperry.com/shared/mtg.js';
-
-// Sets where retro frame cards appear in Play Boosters (not collector-exclusive)
-// TODO: Import from mtg.js once deployed
-const SETS_WITH_RETRO_IN_BOOSTERS = new Set(['mh3']);
+  SETS_WITH_RETRO_IN_BOOSTERS,
+  COLLECTOR_EXCLUSIVE_PROMOS,
+  COLLECTOR_EXCLUSIVE_FRAMES,
+  LANGUAGES,
+  CACHED_LANGUAGES,
+} from './lib/mtg.js';
+import {
+  getCachedCards,
+  getCachedCardList,
+  getCardTreatment,
+  expandCardFinishes,
+  filterAndSortCards,
+  buildPackModel,
+  calculatePackEV,
+  getCardEVContributions,
+  getCardPullOdds,
+  addCardOdds,
+  sortCards,
+  getTreatmentLabel,
+  groupCards,
+  MARKETS,
+  formatPrice,
+  calculateThemeValues,
+  isLotteryCard,
+} from './lib/core.js';
+import {
+  getAllSessions,
+  saveSession,
+  deleteSession,
+  createSession,
+  getSessionMarket,
+  getSessionTotals,
+  sessionsToCSV,
+  sessionsToJSON,
+} from './pull-log.js';
 
 const SCRYFALL_API = 'https://api.scryfall.com';
 
-// Play Booster pull rates for EV calculation
-// Source: https://magic.wizards.com/en/news/feature/play-booster-contents
-const RARE_RATE = 0.875;       // ~87.5% chance of rare in rare/mythic slot
-const MYTHIC_RATE = 0.125;     // ~12.5% chance of mythic (roughly 7:1 ratio)
-const FOIL_RARE_RATE = 0.10;   // ~10% chance of foil rare across pack
-const FOIL_MYTHIC_RATE = 0.02; // ~2% chance of foil mythic across pack
+const ALL_RARITIES = 'common,uncommon,rare,mythic';
 
 // ============ URL State Management ============
 
@@ -35,10 +61,28 @@ function getStateFromURL() {
   return {
     set: params.get('set') || null,
     booster: params.get('booster') || 'play',
+    lang: LANGUAGES[params.get('lang')] ? params.get('lang') : 'en',
     min: params.get('min') || '2',
     foils: params.get('foils') || 'include',
-    rares: params.get('rares') || 'include',
-    list: params.get('list') || 'exclude'
+    lottery: params.get('lottery') || 'exclude',
+    max: params.get('max') || '',
+    // Older links used rares=exclude for "commons and uncommons only"
+    rarity: params.get('rarity') || (params.get('rares') === 'exclude' ? 'common,uncommon' : ALL_RARITIES),
+    treatments: params.get('treatments') || '',
+    finish: params.get('finish') || 'all',
+    q: params.get('q') || '',
+    list: params.get('list') || 'exclude',
+    sort: params.get('sort') || 'price',
+    group: params.get('group') || 'none',
+    view: params.get('view') || 'cards',
+    rank: params.get('rank') || 'play',
+    lbtype: params.get('lbtype') || 'play',
+    box: params.get('box') || '',
+    a: params.get('a') || '',
+    b: params.get('b') || '',
+    cost: params.get('cost') || '',
+    unit: params.get('unit') || 'pack',
+    market: MARKETS[params.get('market')] ? params.get('market') : 'usd'
   };
 }
 
@@ -46,10 +90,31 @@ function updateURL(state) {
   const params = new URLSearchParams();
   if (state.set) params.set('set', state.set);
   if (state.booster !== 'play') params.set('booster', state.booster);
+  if (state.lang !== 'en') params.set('lang', state.lang);
   if (state.min !== '2') params.set('min', state.min);
   if (state.foils !== 'include') params.set('foils', state.foils);
-  if (state.rares !== 'include') params.set('rares', state.rares);
+  if (state.lottery !== 'exclude') params.set('lottery', state.lottery);
+  if (state.max) params.set('max', state.max);
+  if (state.rarity !== ALL_RARITIES) params.set('rarity', state.rarity);
+  if (state.treatments) params.set('treatments', state.treatments);
+  if (state.finish !== 'all') params.set('finish', state.finish);
+  if (state.q) params.set('q', state.q);
   if (state.list !== 'exclude') params.set('list', state.list);
+  if (state.sort !== 'price') params.set('sort', state.sort);
+  if (state.group !== 'none') params.set('group', state.group);
+  if (state.cost) params.set('cost', state.cost);
+  if (state.cost && state.unit !== 'pack') params.set('unit', state.unit);
+  if (state.view !== 'cards') params.set('view', state.view);
+  if (state.market !== 'usd') params.set('market', state.market);
+  if (state.view === 'leaderboard') {
+    if (state.rank !== 'play') params.set('rank', state.rank);
+    if (state.lbtype !== 'play') params.set('lbtype', state.lbtype);
+    if (state.box) params.set('box', state.box);
+  }
+  if (state.view === 'compare') {
+    if (state.a) params.set('a', state.a);
+    if (state.b) params.set('b', state.b);
+  }
 
   const newURL = params.toString()
     ? window.location.pathname + '?' + params.toString()
@@ -62,10 +127,27 @@ function getCurrentState() {
   return {
     set: document.getElementById('set-select').value,
     booster: document.getElementById('booster-type').value,
+    lang: getLanguage(),
     min: document.getElementById('min-price').value,
     foils: document.getElementById('foils-mode').value,
-    rares: document.getElementById('rares-mode').value,
-    list: document.getElementById('list-mode').value
+    lottery: document.getElementById('lottery-mode').value,
+    max: document.getElementById('max-price').value,
+    rarity: document.getElementById('rarity-mode').value,
+    treatments: document.getElementById('treatment-mode').value,
+    finish: document.getElementById('finish-mode').value,
+    q: document.getElementById('name-search').value.trim(),
+    list: document.getElementById('list-mode').value,
+    sort: document.getElementById('sort-mode').value,
+    group: document.getElementById('group-mode').value,
+    view: document.getElementById('view-mode').value,
+    rank: document.getElementById('rank-mode').value,
+    lbtype: document.getElementById('lb-booster-type').value,
+    box: document.getElementById('lb-box-price').value,
+    a: getCompareValue('a'),
+    b: getCompareValue('b'),
+    cost: document.getElementById('cost-price').value,
+    unit: document.getElementById('cost-unit').value,
+    market: getMarket()
   };
 }
 
@@ -74,6 +156,42 @@ function getCurrentState() {
 let setsData = [];
 let autocomplete = null;
 
+// ============ Markets ============
+
+// Market every price, threshold and EV is shown in (see MARKETS in lib/core.js)
+function getMarket() {
+  return document.getElementById('market').value;
+}
+
+function formatMoney(value, digits) {
+  return formatPrice(value, getMarket(), digits);
+}
+
+// Price history is only recorded from TCGplayer, so say so when another market is selected
+function getHistoryNote() {
+  return getMarket() === 'usd' ? '' : ' (tcgplayer usd)';
+}
+
+// Relabel everything that shows a bare amount or currency for the selected market
+function updateMarketLabels() {
+  const market = getMarket();
+  document.querySelectorAll('#price-toggle .toggle-btn').forEach(btn => {
+    btn.textContent = formatPrice(parseFloat(btn.dataset.value), market, 0);
+  });
+  document.querySelectorAll('.market-symbol').forEach(el => {
+    el.textContent = MARKETS[market].symbol;
+  });
+  for (const id of ['pull-cost', 'lb-box-price']) {
+    document.getElementById(id).placeholder = formatPrice(0, market);
+  }
+}
+
+function onMarketChange() {
+  updateMarketLabels();
+  updateURL(getCurrentState());
+  onViewChange();
+}
+
 // ============ Toggle Buttons ============
 
 // Helper to set up a toggle button group
@@ -94,13 +212,41 @@ function setupToggle(toggleId, hiddenId, onChange, options = {}) {
   });
 }
 
+// Name search waits for a pause in typing before reloading
+const SEARCH_DELAY_MS = 250;
+let searchTimer = null;
+
 function setupToggles() {
   // Filter toggles
   setupToggle('booster-toggle', 'booster-type', onFilterChange, { disableWhenSingle: true });
   setupToggle('price-toggle', 'min-price', onFilterChange);
   setupToggle('foils-toggle', 'foils-mode', onFilterChange);
-  setupToggle('rares-toggle', 'rares-mode', onFilterChange);
+  setupMultiToggle('rarity-toggle', 'rarity-mode', onFilterChange, { required: true });
+  setupMultiToggle('treatment-toggle', 'treatment-mode', onFilterChange);
+  setupToggle('finish-toggle', 'finish-mode', onFilterChange);
+  const langSelect = document.getElementById('lang-mode');
+  langSelect.innerHTML = Object.entries(LANGUAGES)
+    .map(([code, name]) => '<option value="' + code + '">' + name + '</option>')
+    .join('');
+  langSelect.addEventListener('change', onFilterChange);
+  document.getElementById('max-price').addEventListener('change', onFilterChange);
+  document.getElementById('name-search').addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(onFilterChange, SEARCH_DELAY_MS);
+  });
+
+  // A typed minimum replaces the preset buttons; picking a preset clears it
+  const customMin = document.getElementById('custom-min-price');
+  customMin.addEventListener('change', () => {
+    setToggleValue('price-toggle', 'min-price', customMin.value || '2');
+    onFilterChange();
+  });
+  document.getElementById('price-toggle').addEventListener('click', () => {
+    customMin.value = '';
+  });
   setupToggle('list-toggle', 'list-mode', onFilterChange);
+  document.getElementById('sort-mode').addEventListener('change', onFilterChange);
+  document.getElementById('group-mode').addEventListener('change', onFilterChange);
 
   // Grid columns toggle (mobile only) - separate logic for localStorage
   const gridToggle = document.getElementById('grid-toggle');
@@ -141,6 +287,44 @@ function setToggleValue(toggleId, hiddenId, value) {
   hidden.value = value;
 }
 
+// Toggle group where any number of buttons can be active; the hidden input holds the
+// active values comma-separated, in button order. `required` keeps at least one on.
+function setupMultiToggle(toggleId, hiddenId, onChange, options = {}) {
+  const toggle = document.getElementById(toggleId);
+  const { required = false } = options;
+
+  toggle.addEventListener('click', (e) => {
+    const btn = e.target.closest('.toggle-btn');
+    if (!btn) return;
+    const isLastActive = btn.classList.contains('active') && toggle.querySelectorAll('.toggle-btn.active').length === 1;
+    if (required && isLastActive) return;
+
+    btn.classList.toggle('active');
+    syncMultiToggle(toggleId, hiddenId);
+    onChange();
+  });
+}
+
+function syncMultiToggle(toggleId, hiddenId) {
+  const active = document.getElementById(toggleId).querySelectorAll('.toggle-btn.active');
+  document.getElementById(hiddenId).value = Array.from(active).map(btn => btn.dataset.value).join(',');
+}
+
+function setMultiToggleValue(toggleId, hiddenId, value) {
+  const values = value ? value.split(',') : [];
+  document.getElementById(toggleId).querySelectorAll('.toggle-btn').forEach(btn => {
+    btn.classList.toggle('active', values.includes(btn.dataset.value));
+  });
+  syncMultiToggle(toggleId, hiddenId);
+}
+
+function setSelectValue(selectId, value) {
+  const select = document.getElementById(selectId);
+  select.value = value;
+  // Unknown values (e.g. a hand-edited URL) fall back to the first option
+  if (!select.value) select.selectedIndex = 0;
+}
+
 // ============ Booster Type Logic ============
 
 function getBoosterEra(releaseDate) {
@@ -153,9 +337,10 @@ function getBoosterEra(releaseDate) {
   }
 }
 
-function updateBoosterTypeOptions(releaseDate, setCode, preserveValue = null) {
-  const boosterToggle = document.getElementById('booster-toggle');
-  const boosterHidden = document.getElementById('booster-type');
+// Defaults to the cards view's booster toggle; compare mode passes its own
+function updateBoosterTypeOptions(releaseDate, setCode, preserveValue = null, toggleId = 'booster-toggle', hiddenId = 'booster-type') {
+  const boosterToggle = document.getElementById(toggleId);
+  const boosterHidden = document.getElementById(hiddenId);
 
   // Jumpstart sets have their own booster type
   if (JUMPSTART_SETS.has(setCode)) {
@@ -181,8 +366,10 @@ function updateBoosterTypeOptions(releaseDate, setCode, preserveValue = null) {
     boosterToggle.classList.add('single');
     boosterHidden.value = 'play';
   } else if (era === 'set') {
+    // Draft and set boosters have different cards, so each gets its own pool and EV
     boosterToggle.innerHTML =
-      '<button type="button" class="toggle-btn active" data-value="play">draft / set</button>' +
+      '<button type="button" class="toggle-btn active" data-value="play">draft</button>' +
+      '<button type="button" class="toggle-btn" data-value="set_booster">set</button>' +
       '<button type="button" class="toggle-btn" data-value="collector">collector</button>';
     boosterToggle.classList.remove('single');
   } else {
@@ -192,9 +379,11 @@ function updateBoosterTypeOptions(releaseDate, setCode, preserveValue = null) {
     boosterToggle.classList.remove('single');
   }
 
-  // Restore value if valid
-  if (preserveValue && era !== 'draft') {
-    setToggleValue('booster-toggle', 'booster-type', preserveValue);
+  // Restore value if this set has that booster type, otherwise start from the first
+  if (preserveValue && boosterToggle.querySelector('.toggle-btn[data-value="' + preserveValue + '"]')) {
+    setToggleValue(toggleId, hiddenId, preserveValue);
+  } else {
+    boosterHidden.value = 'play';
   }
 }
 
@@ -238,20 +427,30 @@ function updateFilterToggles(setCode, releaseDate) {
 
 // ============ Card Fetching & Filtering ============
 
+// Language the cards view shows printings in (Scryfall code, see LANGUAGES)
+function getLanguage() {
+  return document.getElementById('lang-mode').value;
+}
+
+// Cache file for a set: data/<set>.json for English, data/<lang>/<set>.json otherwise
+function getSetDataPath(setCode, lang = 'en') {
+  return './data/' + (lang === 'en' ? '' : lang + '/') + setCode + '.json';
+}
+
 // Try to load from cache first, fall back to live API
-async function fetchSetCards(setCode, boosterType, includeSpecialGuests) {
+async function fetchSetCards(setCode, boosterType, includeSpecialGuests, lang) {
   let cards = [];
 
   // Try cached data first
   try {
-    const cached = await fetchCachedCards(setCode, boosterType);
+    const cached = await fetchCachedCards(setCode, boosterType, lang);
     if (cached && cached.length > 0) {
       console.log('Loaded ' + cached.length + ' cards from cache for ' + setCode);
       cards = cached;
 
       // If includeSpecialGuests, also get cached Special Guests cards
       if (includeSpecialGuests && SETS_WITH_SPECIAL_GUESTS.has(setCode)) {
-        const specialGuestsCards = await fetchCachedSpecialGuestsCards(setCode);
+        const specialGuestsCards = await fetchCachedSpecialGuestsCards(setCode, lang);
         cards = [...cards, ...specialGuestsCards];
       }
     }
@@ -261,76 +460,102 @@ async function fetchSetCards(setCode, boosterType, includeSpecialGuests) {
 
   // Fall back to live API if no cache
   if (cards.length === 0) {
-    cards = await fetchLiveCards(setCode, boosterType, includeSpecialGuests);
+    cards = await fetchLiveCards(setCode, boosterType, includeSpecialGuests, lang);
   }
 
   // Always fetch bonus sheet cards (like Avatar source material)
   if (BONUS_SHEET_SETS[setCode]) {
-    const bonusCards = await fetchBonusSheetCards(BONUS_SHEET_SETS[setCode], boosterType);
+    const bonusCards = await fetchBonusSheetCards(BONUS_SHEET_SETS[setCode], boosterType, lang);
     cards = [...cards, ...bonusCards];
   }
 
   // Fetch retro frame cards for sets where they appear in Play Boosters
   if (SETS_WITH_RETRO_IN_BOOSTERS.has(setCode)) {
-    const retroCards = await fetchRetroFrameCards(setCode);
+    const retroCards = await fetchRetroFrameCards(setCode, lang);
     cards = [...cards, ...retroCards];
   }
 
   return cards;
 }
 
-// Convert cached card format back to Scryfall-like format
-function convertCachedCard(card) {
-  return {
-    id: card.id,
-    name: card.name,
-    set: card.set,
-    rarity: card.rarity,
-    collector_number: card.collector_number,
-    booster: card.booster,
-    image_uris: { normal: card.image },
-    scryfall_uri: card.uri,
-    finishes: card.finishes.map(f => f.type),
-    prices: {
-      usd: card.finishes.find(f => f.type === 'nonfoil')?.price?.toString() || null,
-      usd_foil: card.finishes.find(f => f.type === 'foil')?.price?.toString() || null,
-      usd_etched: card.finishes.find(f => f.type === 'etched')?.price?.toString() || null,
-    },
-    frame_effects: [
-      card.showcase && 'showcase',
-      card.extendedart && 'extendedart',
-      card.etched && 'etched',
-      card.inverted && 'inverted',
-    ].filter(Boolean),
-    promo_types: card.promo_types || [],
-    border_color: card.borderless ? 'borderless' : 'black',
-    full_art: card.fullart || false,
-    promo: card.promo || false,
-  };
+// Load a set's cache file once (cards and booster slot layouts share it).
+// Null when there's none, as for languages that aren't cached at all.
+const setDataCache = new Map();
+
+async function fetchCachedSetData(setCode, lang = 'en') {
+  if (lang !== 'en' && !CACHED_LANGUAGES.includes(lang)) return null;
+
+  const path = getSetDataPath(setCode, lang);
+  if (!setDataCache.has(path)) {
+    const request = fetch(path)
+      .then(response => response.ok ? response.json() : null);
+    setDataCache.set(path, request);
+    // Don't remember failures - let the next load retry
+    request.catch(() => setDataCache.delete(path));
+  }
+  return setDataCache.get(path);
 }
 
 // Fetch from pre-cached JSON files
-async function fetchCachedCards(setCode, boosterType) {
-  const response = await fetch('./data/' + setCode + '.json');
-  if (!response.ok) return null;
+async function fetchCachedCards(setCode, boosterType, lang) {
+  const data = await fetchCachedSetData(setCode, lang);
+  if (!data) return null;
+
+  return getCachedCards(data, boosterType);
+}
+
+// Booster slot layouts for EV, or null if the cache has none for this set.
+// Every language's boosters share the English file's layouts.
+async function fetchBoosterSlots(setCode, boosterType) {
+  try {
+    const data = await fetchCachedSetData(setCode);
+    return data?.slots?.[boosterType] || null;
+  } catch (e) {
+    return null;
+  }
+}
 
-  const data = await response.json();
-  const cards = boosterType === 'collector' ? data.collector : data.play;
+// Printings per rarity in a booster type, bulk included, so EV without slot layouts
+// divides by the whole pool rather than just the cards worth listing. Cached sets
+// record them in the English file, which every language shares as it does slot
+// layouts; live-fetched sets ask Scryfall for the rare and mythic totals.
+const rarityCountCache = new Map();
+
+async function fetchRarityCounts(setCode, boosterType, lang) {
+  try {
+    const data = await fetchCachedSetData(setCode);
+    if (data) return data.counts?.[boosterType] || null;
+  } catch (e) {
+    // Not cached, count live below
+  }
 
-  return cards.map(convertCachedCard);
+  const cacheKey = setCode + '-' + boosterType + '-' + lang;
+  if (!rarityCountCache.has(cacheKey)) {
+    const counts = {};
+    for (const rarity of ['rare', 'mythic']) {
+      const query = getLiveQuery(setCode, boosterType, lang) + ' r:' + rarity;
+      try {
+        const data = await fetchWithRetry(SCRYFALL_API + '/cards/search?q=' + encodeURIComponent(query) + '&unique=prints');
+        counts[rarity] = data.total_cards;
+      } catch (e) {
+        // No matches, or Scryfall is unreachable - fall back to the cards we have
+      }
+    }
+    rarityCountCache.set(cacheKey, counts);
+  }
+  return rarityCountCache.get(cacheKey);
 }
 
 // Fetch cached Special Guests cards for a specific set
-async function fetchCachedSpecialGuestsCards(setCode) {
+async function fetchCachedSpecialGuestsCards(setCode, lang) {
   const cards = [];
   const range = SPECIAL_GUESTS_RANGES[setCode];
 
   // Try to fetch from spg cache file
   try {
-    const response = await fetch('./data/spg.json');
-    if (response.ok) {
-      const data = await response.json();
-      const allCards = data.collector || data.play || [];
+    const data = await fetchCachedSetData('spg', lang);
+    if (data) {
+      const allCards = getCachedCards(data, data.collector ? 'collector' : 'play');
 
       // Filter to only cards in this set's collector number range
       const filtered = allCards.filter(card => {
@@ -338,7 +563,7 @@ async function fetchCachedSpecialGuestsCards(setCode) {
         return cn >= range[0] && cn <= range[1];
       });
 
-      cards.push(...filtered.map(convertCachedCard));
+      cards.push(...filtered);
     }
   } catch (e) {
     // Ignore missing cache files
@@ -347,11 +572,9 @@ async function fetchCachedSpecialGuestsCards(setCode) {
   // For OTJ, also fetch The Big Score
   if (SETS_WITH_BIG_SCORE.has(setCode)) {
     try {
-      const response = await fetch('./data/big.json');
-      if (response.ok) {
-        const data = await response.json();
-        const bigScoreCards = data.collector || data.play || [];
-        cards.push(...bigScoreCards.map(convertCachedCard));
+      const data = await fetchCachedSetData('big', lang);
+      if (data) {
+        cards.push(...getCachedCards(data, data.collector ? 'collector' : 'play'));
       }
     } catch (e) {
       // Ignore missing cache files
@@ -361,19 +584,35 @@ async function fetchCachedSpecialGuestsCards(setCode) {
   return cards;
 }
 
-// Live fetch from Scryfall API
-async function fetchLiveCards(setCode, boosterType, includeSpecialGuests) {
-  let query = 'set:' + setCode + ' lang:en';
+// Scryfall clause for cards worth listing in any market (rarity counts cover the bulk for EV)
+const PRICED_QUERY = '(usd>=0.5 OR usd_foil>=0.5 OR eur>=0.5 OR eur_foil>=0.5 OR tix>=0.5)';
+
+// Scryfall query for every card a booster type can contain
+function getLiveQuery(setCode, boosterType, lang) {
+  let query = 'set:' + setCode + ' lang:' + lang;
 
   // Jumpstart and draft-only sets don't use is:booster filter
   if (boosterType !== 'collector' && !JUMPSTART_SETS.has(setCode) && !DRAFT_ONLY_SETS.has(setCode)) {
     // For Play Boosters, include boosterfun cards (showcase/borderless appear in wildcard slot)
     // Collector exclusives are filtered client-side
     query += ' is:booster';
+
+    // Set boosters have showcase and borderless cards but not the collector exclusives;
+    // draft boosters of that era have neither (the same pools the cache script uses)
+    if (boosterType === 'set_booster') {
+      query += COLLECTOR_EXCLUSIVE_FRAMES.map(frame => ' -frame:' + frame).join('') +
+        COLLECTOR_EXCLUSIVE_PROMOS.map(promo => ' -promo:' + promo).join('');
+    } else if (getBoosterEra(setsData.find(s => s.code === setCode)?.released) === 'set') {
+      query += ' -is:boosterfun';
+    }
   }
+  return query;
+}
 
-  // Fetch all cards with any meaningful price (for accurate EV calculation)
-  query += ' (usd>=0.5 OR usd_foil>=0.5)';
+// Live fetch from Scryfall API
+async function fetchLiveCards(setCode, boosterType, includeSpecialGuests, lang) {
+  // Fetch all cards with any meaningful price
+  const query = getLiveQuery(setCode, boosterType, lang) + ' ' + PRICED_QUERY;
 
   const url = SCRYFALL_API + '/cards/search?q=' + encodeURIComponent(query) + '&unique=prints&order=usd&dir=desc';
 
@@ -386,7 +625,7 @@ async function fetchLiveCards(setCode, boosterType, includeSpecialGuests) {
   }
 
   if (includeSpecialGuests && SETS_WITH_SPECIAL_GUESTS.has(setCode)) {
-    const specialGuestsCards = await fetchLiveSpecialGuestsCards(setCode);
+    const specialGuestsCards = await fetchLiveSpecialGuestsCards(setCode, lang);
     cards = cards.concat(specialGuestsCards);
   }
 
@@ -394,14 +633,14 @@ async function fetchLiveCards(setCode, boosterType, includeSpecialGuests) {
 }
 
 // Live fetch for Special Guests (and Big Score for OTJ)
-async function fetchLiveSpecialGuestsCards(setCode) {
+async function fetchLiveSpecialGuestsCards(setCode, lang) {
   let allCards = [];
 
   // Fetch Special Guests by collector number range
   const range = SPECIAL_GUESTS_RANGES[setCode];
   if (range) {
     try {
-      const query = 'set:spg cn>=' + range[0] + ' cn<=' + range[1] + ' (usd>=0.5 OR usd_foil>=0.5)';
+      const query = 'set:spg cn>=' + range[0] + ' cn<=' + range[1] + ' lang:' + lang + ' ' + PRICED_QUERY;
       const url = SCRYFALL_API + '/cards/search?q=' + encodeURIComponent(query) + '&unique=prints&order=usd&dir=desc';
       const data = await fetchWithRetry(url);
       allCards = allCards.concat(data.data || []);
@@ -413,7 +652,7 @@ async function fetchLiveSpecialGuestsCards(setCode) {
   // For OTJ, also fetch The Big Score cards
   if (SETS_WITH_BIG_SCORE.has(setCode)) {
     try {
-      const query = 'set:big (usd>=0.5 OR usd_foil>=0.5)';
+      const query = 'set:big lang:' + lang + ' ' + PRICED_QUERY;
       const url = SCRYFALL_API + '/cards/search?q=' + encodeURIComponent(query) + '&unique=prints&order=usd&dir=desc';
       const data = await fetchWithRetry(url);
       allCards = allCards.concat(data.data || []);
@@ -427,9 +666,9 @@ async function fetchLiveSpecialGuestsCards(setCode) {
 
 // Fetch retro frame and full art cards for sets where they appear in Play Boosters
 // Scryfall marks these as booster:false but they DO appear in play boosters
-async function fetchRetroFrameCards(setCode) {
+async function fetchRetroFrameCards(setCode, lang) {
   try {
-    const query = 'set:' + setCode + ' (frame:old OR is:full) lang:en (usd>=0.5 OR usd_foil>=0.5)';
+    const query = 'set:' + setCode + ' (frame:old OR is:full) lang:' + lang + ' ' + PRICED_QUERY;
     const url = SCRYFALL_API + '/cards/search?q=' + encodeURIComponent(query) + '&unique=prints&order=usd&dir=desc';
     const data = await fetchWithRetry(url);
     let cards = data.data || [];
@@ -445,11 +684,11 @@ async function fetchRetroFrameCards(setCode) {
 // These are manually curated via BONUS_SHEET_SETS - we know they appear in play boosters
 // per WotC product info, even if Scryfall's booster flag is unreliable for these sets.
 // We also skip the collector-exclusive filter since these sets use their own styling.
-async function fetchBonusSheetCards(bonusSetCode, boosterType) {
+async function fetchBonusSheetCards(bonusSetCode, boosterType, lang) {
   try {
     // Don't use is:booster filter - Scryfall's booster flag is unreliable for bonus sheets
     // (e.g., MAR cards have booster:false but DO appear in Spider-Man Play Boosters)
-    const query = 'set:' + bonusSetCode + ' lang:en (usd>=0.5 OR usd_foil>=0.5)';
+    const query = 'set:' + bonusSetCode + ' lang:' + lang + ' ' + PRICED_QUERY;
 
     const url = SCRYFALL_API + '/cards/search?q=' + encodeURIComponent(query) + '&unique=prints&order=usd&dir=desc';
     const data = await fetchWithRetry(url);
@@ -465,164 +704,1418 @@ async function fetchBonusSheetCards(bonusSetCode, boosterType) {
   }
 }
 
-function getCardTreatment(card, isFoil) {
-  const treatments = [];
-
-  if (card.frame_effects?.includes('showcase')) treatments.push('Showcase');
-  if (card.frame_effects?.includes('extendedart')) treatments.push('Extended Art');
-  if (card.border_color === 'borderless') treatments.push('Borderless');
-  if (card.promo) treatments.push('Promo');
-  if (card.full_art) treatments.push('Full Art');
-  if (card.frame_effects?.includes('etched')) treatments.push('Etched');
-  if (isFoil) treatments.push('Foil');
-
-  // Mark list/special guests cards
-  if (card.set === 'plst') treatments.push('The List');
-  if (card.set === 'spg') treatments.push('Special Guest');
+// ============ Pack Simulator ============
 
-  return treatments.length > 0 ? treatments.join(', ') : 'Regular';
-}
+const PACKS_PER_BOX = { play: 36, set_booster: 30, collector: 12 };
+const BOXES_PER_CASE = 6;
 
-// Finish type configuration for expansion
-const FINISH_TYPES = [
-  { key: 'nonfoil', priceKey: 'usd', isFoil: false },
-  { key: 'foil', priceKey: 'usd_foil', isFoil: true },
-  { key: 'etched', priceKey: 'usd_etched', isFoil: false, transformTreatment: t => t.replace('Regular', 'Etched') || 'Etched' },
-];
+// Trials per run, scaled down as openings get bigger to keep runs snappy
+const SIMULATION_TRIALS = { pack: 10000, box: 2000, case: 400 };
 
-function expandCardFinishes(cards) {
-  const expanded = [];
+// Open one pack from a pack model, returning its total value
+function openPack(model, random) {
+  let value = 0;
 
-  for (const card of cards) {
-    const prices = card.prices || {};
-    const finishes = card.finishes || [];
-
-    for (const finish of FINISH_TYPES) {
-      if (finishes.includes(finish.key) && prices[finish.priceKey]) {
-        const price = parseFloat(prices[finish.priceKey]);
-        if (price > 0) {
-          let treatment = getCardTreatment(card, finish.isFoil);
-          if (finish.transformTreatment) treatment = finish.transformTreatment(treatment);
-          expanded.push({ ...card, price, isFoil: finish.isFoil, treatment, finishKey: finish.key });
+  for (const slot of model) {
+    for (let i = 0; i < slot.count; i++) {
+      let roll = random();
+      for (const outcome of slot.outcomes) {
+        if (roll < outcome.rate) {
+          const index = Math.floor(random() * outcome.poolSize);
+          if (index < outcome.cards.length) value += outcome.cards[index].price;
+          break;
         }
+        roll -= outcome.rate;
       }
     }
   }
 
-  return expanded;
+  return value;
+}
+
+// Open `packs` packs per trial, `trials` times. Returns trial values sorted ascending.
+function simulateOpenings(model, packs, trials, random = Math.random) {
+  const values = new Float64Array(trials);
+
+  for (let t = 0; t < trials; t++) {
+    let total = 0;
+    for (let p = 0; p < packs; p++) {
+      total += openPack(model, random);
+    }
+    values[t] = total;
+  }
+
+  return values.sort();
+}
+
+// Value at a percentile (0-1) of sorted values
+function getPercentile(sorted, percentile) {
+  const index = Math.min(sorted.length - 1, Math.floor(percentile * sorted.length));
+  return sorted[index];
+}
+
+// Share of openings worth at least `cost` - the simulator and ROI line both use this
+function getBreakEvenOdds(sorted, cost) {
+  return sorted.filter(v => v >= cost).length / sorted.length;
+}
+
+function summarizeSimulation(sorted, cost) {
+  const mean = sorted.reduce((sum, v) => sum + v, 0) / sorted.length;
+  const breakEven = cost > 0 ? getBreakEvenOdds(sorted, cost) : null;
+
+  return {
+    mean,
+    median: getPercentile(sorted, 0.5),
+    p10: getPercentile(sorted, 0.1),
+    p25: getPercentile(sorted, 0.25),
+    p75: getPercentile(sorted, 0.75),
+    p90: getPercentile(sorted, 0.9),
+    breakEven,
+  };
+}
+
+// Bucket sorted values into equal-width bins up to the 99th percentile
+// (the long tail of jackpot openings goes into the last bin)
+function buildHistogram(sorted, binCount = 24) {
+  const max = getPercentile(sorted, 0.99) || 1;
+  const width = max / binCount;
+  const bins = Array.from({ length: binCount }, (_, i) => ({ from: i * width, to: (i + 1) * width, count: 0 }));
+
+  for (const value of sorted) {
+    bins[Math.min(binCount - 1, Math.floor(value / width))].count++;
+  }
+
+  return bins;
+}
+
+// ============ Simulator UI ============
+
+// Pack model and EV for the current set/booster, kept so reruns don't refetch
+let currentPack = null;
+
+function setupSimulator() {
+  setupToggle('sim-size-toggle', 'sim-size', runSimulation);
+  // Running again is the one time a fresh simulation is wanted
+  document.getElementById('sim-run').addEventListener('click', () => {
+    currentPack?.simulations.delete(document.getElementById('sim-size').value);
+    runSimulation();
+    renderROI();
+  });
+
+  // The simulate link lives in the pack EV line, which is re-rendered on every load
+  document.getElementById('pack-ev').addEventListener('click', (e) => {
+    if (!e.target.closest('.sim-link')) return;
+    const panel = document.getElementById('simulator');
+    panel.classList.toggle('hidden');
+    if (!panel.classList.contains('hidden')) runSimulation();
+  });
+}
+
+// Every card stays findable (detail, pull log), but EV only counts lottery cards when included.
+// Simulations are kept while the inputs to the model stay the same, so filtering,
+// sorting and searching don't rerun them.
+function setCurrentPack(cards, slots, counts, boosterType) {
+  const market = getMarket();
+  const evCards = getEVCards(cards, slots);
+  const key = [
+    document.getElementById('set-select').value, boosterType, market, getLanguage(),
+    document.getElementById('list-mode').value, document.getElementById('lottery-mode').value,
+  ].join(':');
+  currentPack = {
+    key,
+    model: buildPackModel(evCards, slots, counts, market, boosterType),
+    ev: calculatePackEV(evCards, slots, counts, market, boosterType).total,
+    boosterType,
+    cards: getCardFinishes(cards, market),
+    simulations: currentPack?.key === key ? currentPack.simulations : new Map(),
+  };
+  if (!document.getElementById('simulator').classList.contains('hidden')) runSimulation();
 }
 
-function filterAndSortCards(cards, minPrice, excludeRares, excludeFoils) {
-  const expanded = expandCardFinishes(cards);
+// Every priced finish of every card, grouped by card: [{ card, finishes: [{ type, price }] }]
+function getCardFinishes(cards, market) {
+  const byId = new Map();
+  for (const card of expandCardFinishes(cards, market)) {
+    if (!byId.has(card.id)) byId.set(card.id, { card, finishes: [] });
+    byId.get(card.id).finishes.push({ type: card.finishKey, price: card.price });
+  }
+  return Array.from(byId.values());
+}
 
-  // Filter first
-  const filtered = expanded
-    .filter(card => card.price >= minPrice)
-    .filter(card => {
-      if (!excludeRares) return true;
-      const rarity = card.rarity?.toLowerCase();
-      return rarity !== 'rare' && rarity !== 'mythic';
-    })
-    .filter(card => {
-      if (!excludeFoils) return true;
-      return !card.isFoil;
+function getPacksPerOpening(size, boosterType) {
+  const boxSize = PACKS_PER_BOX[boosterType];
+  if (size === 'box') return boxSize;
+  if (size === 'case') return boxSize * BOXES_PER_CASE;
+  return 1;
+}
+
+// Sorted opening values for a pack, box or case of the current pack, simulated once.
+// A first run takes a moment, so it waits until the browser is idle and this returns
+// null meanwhile; `onReady` is called once it's done if the pack is still current.
+function getSimulation(size, onReady) {
+  const pack = currentPack;
+  const simulation = pack.simulations.get(size);
+  if (Array.isArray(simulation)) return simulation;
+
+  if (!simulation) {
+    const pending = whenIdle().then(() => {
+      const sorted = simulateOpenings(pack.model, getPacksPerOpening(size, pack.boosterType), SIMULATION_TRIALS[size]);
+      // A rerun may have replaced this one while it waited
+      if (pack.simulations.get(size) === pending) pack.simulations.set(size, sorted);
     });
+    pack.simulations.set(size, pending);
+  }
+  pack.simulations.get(size).then(() => {
+    if (currentPack === pack) onReady();
+  });
+  return null;
+}
 
-  // Group by card ID to merge foil/nonfoil
-  const grouped = new Map();
-  for (const card of filtered) {
-    if (!grouped.has(card.id)) {
-      grouped.set(card.id, {
-        ...card,
-        finishPrices: [],
-        maxPrice: 0
-      });
-    }
-    const group = grouped.get(card.id);
-    group.finishPrices.push({
-      type: card.isFoil ? 'foil' : (card.finishKey === 'etched' ? 'etched' : 'regular'),
-      price: card.price
+// Resolves once the browser is idle, or after the next paint where idle callbacks aren't supported
+function whenIdle() {
+  return new Promise(resolve => {
+    if ('requestIdleCallback' in window) requestIdleCallback(resolve, { timeout: 500 });
+    else requestAnimationFrame(() => setTimeout(resolve));
+  });
+}
+
+function runSimulation() {
+  if (!currentPack) return;
+  // Nothing to open without a pack model (set boosters without booster data)
+  if (currentPack.model.length === 0) {
+    document.getElementById('simulator').classList.add('hidden');
+    return;
+  }
+
+  const size = document.getElementById('sim-size').value;
+  const packs = getPacksPerOpening(size, currentPack.boosterType);
+  const cost = getSealedCostPerPack() * packs;
+
+  const sorted = getSimulation(size, runSimulation);
+  if (!sorted) {
+    document.getElementById('sim-results').innerHTML = '<div class="sim-note">simulating...</div>';
+    return;
+  }
+  renderSimulation(sorted, summarizeSimulation(sorted, cost), cost, packs);
+}
+
+function renderSimulation(sorted, stats, cost, packs) {
+  const resultsEl = document.getElementById('sim-results');
+  const bins = buildHistogram(sorted);
+  const maxCount = Math.max(...bins.map(b => b.count)) || 1;
+
+  const bars = bins.map(bin => {
+    const height = (bin.count / maxCount) * 100;
+    const share = (bin.count / sorted.length) * 100;
+    const aboveCost = cost > 0 && bin.from >= cost;
+    return '<div class="sim-bar' + (aboveCost ? ' above-cost' : '') + '" style="height:' + height.toFixed(1) + '%" ' +
+      'title="' + formatMoney(bin.from) + '–' + formatMoney(bin.to) + ': ' + share.toFixed(1) + '%"></div>';
+  }).join('');
+
+  const statItems = [
+    'mean ' + formatMoney(stats.mean),
+    'median ' + formatMoney(stats.median),
+    '10th–90th pct ' + formatMoney(stats.p10) + '–' + formatMoney(stats.p90),
+    '25th–75th pct ' + formatMoney(stats.p25) + '–' + formatMoney(stats.p75),
+  ];
+  if (stats.breakEven !== null) {
+    statItems.push('at least ' + formatMoney(cost) + ': <span class="sim-odds">' + (stats.breakEven * 100).toFixed(1) + '%</span>');
+  }
+
+  resultsEl.innerHTML =
+    '<div class="sim-stats">' + statItems.map(item => '<span class="sim-stat">' + item + '</span>').join(' · ') + '</div>' +
+    '<div class="sim-histogram">' + bars + '</div>' +
+    '<div class="sim-axis"><span>' + formatMoney(0, 0) + '</span><span>' + formatMoney(bins[bins.length - 1].to, 0) + '+</span></div>' +
+    '<div class="sim-note">' + sorted.length.toLocaleString() + ' simulated openings of ' + packs + ' pack' + (packs === 1 ? '' : 's') + '</div>';
+}
+
+// ============ Lottery Cards ============
+
+// Serialized printings get their own section and only count toward
+// EV when the user includes them
+function isLotteryIncluded() {
+  return document.getElementById('lottery-mode').value === 'include';
+}
+
+function getEVCards(cards, slots) {
+  return isLotteryIncluded() ? cards : cards.filter(card => !isLotteryCard(card, slots));
+}
+
+function setupLottery() {
+  setupToggle('lottery-toggle', 'lottery-mode', onFilterChange);
+  document.getElementById('lottery-list').addEventListener('click', (e) => {
+    const card = e.target.closest('.lottery-card');
+    if (card) showCardDetail(card.dataset.id);
+  });
+}
+
+// "1 in 5,500 packs · 1 in 458 boxes"
+function formatLotteryOdds(chance, boosterType) {
+  if (!chance) return 'odds not published';
+  const boxChance = 1 - (1 - chance) ** getPacksPerOpening('box', boosterType);
+  return formatPullOdds(chance) + ' · 1 in ' + Math.round(1 / boxChance).toLocaleString() + ' boxes';
+}
+
+function renderLottery(cards, slots, counts, boosterType) {
+  const panel = document.getElementById('lottery');
+  const market = getMarket();
+  const entries = getCardFinishes(cards, market);
+  panel.classList.toggle('hidden', entries.length === 0);
+  if (entries.length === 0) return;
+
+  // Odds come from the booster-data slots that hold them; the rate model has none
+  const model = buildPackModel(cards, slots, counts, market, boosterType);
+  const odds = new Map(entries.map(({ card }) => [card.id, getCardPullOdds(model, card.id).pack]));
+  const maxPrice = entry => Math.max(...entry.finishes.map(f => f.price));
+
+  // Without odds there's nothing to count in, so the EV toggle would do nothing
+  const hasOdds = Array.from(odds.values()).some(Boolean);
+  document.getElementById('lottery-toggle').closest('.select-group').classList.toggle('hidden', !hasOdds);
+  panel.querySelector('.lottery-note').textContent = hasOdds
+    ? 'serialized printings, opened once in hundreds of boxes'
+    : 'serialized printings - their odds aren\'t published, so ev leaves them out';
+
+  document.getElementById('lottery-list').innerHTML = entries
+    .sort((a, b) => maxPrice(b) - maxPrice(a))
+    .map(({ card, finishes }) =>
+      '<li class="lottery-card" data-id="' + card.id + '">' +
+        '<span class="lottery-name">' + card.name.toLowerCase() + '</span>' +
+        finishes.map(f => '<span class="finish-price"><span class="finish-type">' + f.type + '</span> ' + formatMoney(f.price) + '</span>').join('') +
+        '<span class="lottery-odds">' + formatLotteryOdds(odds.get(card.id), boosterType) + '</span>' +
+      '</li>'
+    ).join('');
+}
+
+// ============ Sealed Price & ROI ============
+
+// Prices entered per set and booster type: { "mkm-play": { unit: "box", price: "140" } }.
+// Other languages and markets than English and TCGplayer get their own entries
+// ("mkm-play-ja", "mkm-play-eur").
+const SEALED_PRICES_KEY = 'sealedPrices';
+
+function getSealedPriceKey(setCode, boosterType) {
+  const lang = getLanguage();
+  const market = getMarket();
+  return setCode + '-' + boosterType + (lang === 'en' ? '' : '-' + lang) + (market === 'usd' ? '' : '-' + market);
+}
+
+function getSavedSealedPrices() {
+  try {
+    return JSON.parse(localStorage.getItem(SEALED_PRICES_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+function saveSealedPrice(setCode, boosterType, unit, price) {
+  const prices = getSavedSealedPrices();
+  const key = getSealedPriceKey(setCode, boosterType);
+  if (price) {
+    prices[key] = { unit, price };
+  } else {
+    delete prices[key];
+  }
+  localStorage.setItem(SEALED_PRICES_KEY, JSON.stringify(prices));
+}
+
+// Fill the price inputs with what was saved for this set/booster
+function restoreSealedPrice(setCode, boosterType) {
+  const saved = getSavedSealedPrices()[getSealedPriceKey(setCode, boosterType)];
+  const boxButton = document.querySelector('#cost-unit-toggle [data-value="box"]');
+  boxButton.textContent = 'box of ' + getPacksPerOpening('box', boosterType);
+
+  setToggleValue('cost-unit-toggle', 'cost-unit', saved?.unit || 'pack');
+  document.getElementById('cost-price').value = saved?.price || '';
+  document.getElementById('sealed-price').classList.remove('hidden');
+
+  // Keep the shared URL's price in step with the newly selected set/booster
+  updateURL(getCurrentState());
+}
+
+// Entered price spread over the packs it buys (0 if none entered)
+function getSealedCostPerPack() {
+  const price = parseFloat(document.getElementById('cost-price').value) || 0;
+  const unit = document.getElementById('cost-unit').value;
+  if (!currentPack || price <= 0) return 0;
+  return price / getPacksPerOpening(unit, currentPack.boosterType);
+}
+
+function setupSealedPrice() {
+  const onChange = () => {
+    const setCode = document.getElementById('set-select').value;
+    const boosterType = document.getElementById('booster-type').value;
+    saveSealedPrice(setCode, boosterType, document.getElementById('cost-unit').value, document.getElementById('cost-price').value);
+    updateURL(getCurrentState());
+    renderROI();
+    if (!document.getElementById('simulator').classList.contains('hidden')) runSimulation();
+  };
+  setupToggle('cost-unit-toggle', 'cost-unit', onChange);
+  document.getElementById('cost-price').addEventListener('input', onChange);
+}
+
+// Net expected return, ROI and odds of at least breaking even for the entered price
+function renderROI() {
+  const roiEl = document.getElementById('roi');
+  const price = parseFloat(document.getElementById('cost-price').value) || 0;
+
+  if (!currentPack || price <= 0 || currentPack.model.length === 0) {
+    roiEl.classList.add('hidden');
+    return;
+  }
+
+  const unit = document.getElementById('cost-unit').value;
+  const packs = getPacksPerOpening(unit, currentPack.boosterType);
+  const expected = currentPack.ev * packs;
+  const net = expected - price;
+  const roi = (net / price) * 100;
+
+  // Break-even odds fill in once the simulation they're read from has run
+  const sorted = getSimulation(unit, renderROI);
+  const breakEven = sorted ? (getBreakEvenOdds(sorted, price) * 100).toFixed(1) + '%' : 'simulating...';
+
+  const sign = net >= 0 ? '+' : '-';
+  roiEl.innerHTML =
+    '<span class="roi-item">expected return <span class="roi-value">' + sign + formatMoney(Math.abs(net)) + '</span></span> · ' +
+    '<span class="roi-item">roi <span class="roi-value">' + (roi >= 0 ? '+' : '') + roi.toFixed(0) + '%</span></span> · ' +
+    '<span class="roi-item">break-even odds <span class="roi-value">' + breakEven + '</span></span>';
+  roiEl.classList.remove('hidden');
+}
+
+// ============ Pull Log ============
+
+// Sessions for the current set/booster/market, newest first, and the one being logged to
+let pullSessions = [];
+let activePullSession = null;
+
+function isPullLogOpen() {
+  return !document.getElementById('pull-log').classList.contains('hidden');
+}
+
+function getFinishLabel(type) {
+  return type === 'nonfoil' ? 'regular' : type;
+}
+
+async function loadPullSessions() {
+  const setCode = document.getElementById('set-select').value;
+  const boosterType = document.getElementById('booster-type').value;
+
+  try {
+    const sessions = await getAllSessions();
+    pullSessions = sessions.filter(s => s.set === setCode && s.booster === boosterType && getSessionMarket(s) === getMarket());
+  } catch (e) {
+    console.error('Error loading pull sessions:', e);
+    pullSessions = [];
+  }
+
+  if (!pullSessions.some(s => s.id === activePullSession?.id)) {
+    activePullSession = pullSessions[0] || null;
+  }
+  renderPullLog();
+}
+
+async function startPullSession() {
+  const setCode = document.getElementById('set-select').value;
+  const boosterType = document.getElementById('booster-type').value;
+  activePullSession = createSession(setCode, boosterType, getMarket());
+  pullSessions.unshift(activePullSession);
+  await saveSession(activePullSession);
+  renderPullLog();
+}
+
+async function updatePullSession(changes) {
+  if (!activePullSession) await startPullSession();
+  Object.assign(activePullSession, changes);
+  await saveSession(activePullSession);
+  renderPullLog();
+}
+
+async function logPull(entry, finish) {
+  if (!activePullSession) await startPullSession();
+  const { card } = entry;
+  activePullSession.pulls.push({
+    id: card.id,
+    name: card.name,
+    collector_number: card.collector_number,
+    rarity: card.rarity,
+    finish: finish.type,
+    price: finish.price,
+    at: new Date().toISOString(),
+  });
+  await saveSession(activePullSession);
+  renderPullLog();
+}
+
+function findCardFinishes(cardId) {
+  return currentPack?.cards.find(entry => entry.card.id === cardId) || null;
+}
+
+// Ask which finish was pulled (skipped when there's only one)
+function showFinishPicker(cardId, x, y) {
+  const entry = findCardFinishes(cardId);
+  if (!entry) return;
+  if (entry.finishes.length === 1) {
+    logPull(entry, entry.finishes[0]);
+    return;
+  }
+
+  const picker = document.getElementById('finish-picker');
+  picker.innerHTML = '<div class="finish-picker-title">' + entry.card.name.toLowerCase() + '</div>' +
+    entry.finishes.map((f, i) =>
+      '<button type="button" class="finish-option" data-index="' + i + '">' + getFinishLabel(f.type) + ' ' + formatMoney(f.price) + '</button>'
+    ).join('');
+  picker.style.left = Math.min(x, window.innerWidth - 200) + 'px';
+  picker.style.top = y + 'px';
+  picker.classList.remove('hidden');
+
+  picker.onclick = (e) => {
+    const option = e.target.closest('.finish-option');
+    if (!option) return;
+    picker.classList.add('hidden');
+    logPull(entry, entry.finishes[parseInt(option.dataset.index, 10)]);
+  };
+}
+
+// Search the whole set (not just the filtered grid) for cards to log
+function renderPullSearch(query) {
+  const results = document.getElementById('pull-search-results');
+  const term = query.trim().toLowerCase();
+  if (!term || !currentPack) {
+    results.classList.add('hidden');
+    return;
+  }
+
+  const matches = currentPack.cards
+    .filter(entry => entry.card.name.toLowerCase().includes(term))
+    .slice(0, 8);
+
+  results.innerHTML = matches.flatMap(entry => entry.finishes.map(f =>
+    '<div class="option" data-id="' + entry.card.id + '" data-finish="' + f.type + '">' +
+      entry.card.name.toLowerCase() + ' <span class="year">#' + entry.card.collector_number + ' · ' + getFinishLabel(f.type) + ' ' + formatMoney(f.price) + '</span>' +
+    '</div>'
+  )).join('') || '<div class="option empty">no matching cards</div>';
+  results.classList.remove('hidden');
+}
+
+function renderPullLog() {
+  const select = document.getElementById('pull-session');
+  select.innerHTML = pullSessions.length
+    ? pullSessions.map(s =>
+        '<option value="' + s.id + '"' + (s.id === activePullSession?.id ? ' selected' : '') + '>' +
+          new Date(s.created).toLocaleString() + ' (' + s.pulls.length + ' pulls)' +
+        '</option>'
+      ).join('')
+    : '<option value="">no sessions yet</option>';
+
+  const session = activePullSession;
+  document.getElementById('pull-packs').value = session ? session.packs : '';
+  document.getElementById('pull-cost').value = session?.cost || '';
+
+  const totalsEl = document.getElementById('pull-totals');
+  const listEl = document.getElementById('pull-list');
+  if (!session) {
+    totalsEl.innerHTML = '';
+    listEl.innerHTML = '';
+    return;
+  }
+
+  const totals = getSessionTotals(session, currentPack?.ev || 0);
+  totalsEl.innerHTML =
+    '<span class="pull-total">pulled <span class="roi-value">' + formatMoney(totals.value) + '</span></span> · ' +
+    '<span class="pull-total">paid <span class="roi-value">' + formatMoney(totals.cost) + '</span></span> · ' +
+    '<span class="pull-total">expected <span class="roi-value">' + formatMoney(totals.expected) + '</span></span> · ' +
+    '<span class="pull-total">net <span class="roi-value">' + (totals.net >= 0 ? '+' : '-') + formatMoney(Math.abs(totals.net)) + '</span></span>';
+
+  listEl.innerHTML = session.pulls.map((pull, i) =>
+    '<li class="pull-item">' +
+      '<span class="pull-name">' + pull.name.toLowerCase() + '</span> ' +
+      '<span class="finish-type">' + getFinishLabel(pull.finish) + '</span> ' + formatMoney(pull.price) +
+      '<button type="button" class="pull-remove" data-index="' + i + '" title="remove">×</button>' +
+    '</li>'
+  ).reverse().join('');
+}
+
+function downloadFile(filename, contents, type) {
+  const url = URL.createObjectURL(new Blob([contents], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+async function exportPullSessions(format) {
+  const sessions = await getAllSessions();
+  const date = new Date().toISOString().slice(0, 10);
+  if (format === 'csv') {
+    downloadFile('packcracker-pulls-' + date + '.csv', sessionsToCSV(sessions), 'text/csv');
+  } else {
+    downloadFile('packcracker-pulls-' + date + '.json', sessionsToJSON(sessions), 'application/json');
+  }
+}
+
+function setupPullLog() {
+  const panel = document.getElementById('pull-log');
+  const search = document.getElementById('pull-search');
+  const searchResults = document.getElementById('pull-search-results');
+  const picker = document.getElementById('finish-picker');
+
+  // The log pulls link lives in the pack EV line, which is re-rendered on every load
+  document.getElementById('pack-ev').addEventListener('click', (e) => {
+    if (!e.target.closest('.pull-log-link')) return;
+    panel.classList.toggle('hidden');
+    if (isPullLogOpen()) loadPullSessions();
+  });
+
+  document.getElementById('pull-session').addEventListener('change', (e) => {
+    activePullSession = pullSessions.find(s => s.id === e.target.value) || null;
+    renderPullLog();
+  });
+  document.getElementById('pull-new').addEventListener('click', startPullSession);
+  document.getElementById('pull-packs').addEventListener('change', (e) => {
+    updatePullSession({ packs: Math.max(0, parseInt(e.target.value, 10) || 0) });
+  });
+  document.getElementById('pull-cost').addEventListener('change', (e) => {
+    updatePullSession({ cost: Math.max(0, parseFloat(e.target.value) || 0) });
+  });
+
+  search.addEventListener('input', () => renderPullSearch(search.value));
+  searchResults.addEventListener('click', (e) => {
+    const option = e.target.closest('.option[data-id]');
+    if (!option) return;
+    const entry = findCardFinishes(option.dataset.id);
+    logPull(entry, entry.finishes.find(f => f.type === option.dataset.finish));
+    search.value = '';
+    searchResults.classList.add('hidden');
+  });
+
+  document.getElementById('pull-list').addEventListener('click', (e) => {
+    const remove = e.target.closest('.pull-remove');
+    if (!remove || !activePullSession) return;
+    activePullSession.pulls.splice(parseInt(remove.dataset.index, 10), 1);
+    saveSession(activePullSession).then(renderPullLog);
+  });
+
+  document.getElementById('pull-export-csv').addEventListener('click', () => exportPullSessions('csv'));
+  document.getElementById('pull-export-json').addEventListener('click', () => exportPullSessions('json'));
+  document.getElementById('pull-delete').addEventListener('click', async () => {
+    if (!activePullSession || !confirm('delete this session and its pulls?')) return;
+    await deleteSession(activePullSession.id);
+    activePullSession = null;
+    loadPullSessions();
+  });
+
+  // Close the finish picker and search results when clicking elsewhere
+  document.addEventListener('click', (e) => {
+    if (!e.target.closest('#finish-picker') && !e.target.closest('.card')) picker.classList.add('hidden');
+    if (!e.target.closest('.pull-search-group')) searchResults.classList.add('hidden');
+  });
+}
+
+// ============ Price History ============
+
+const historyCache = new Map();
+
+// Daily price history for a set written by the cache job, or null if there isn't any
+async function fetchPriceHistory(setCode) {
+  if (!historyCache.has(setCode)) {
+    const request = fetch('./data/history/' + setCode + '.json')
+      .then(response => response.ok ? response.json() : null)
+      .catch(() => null);
+    historyCache.set(setCode, request);
+  }
+  return historyCache.get(setCode);
+}
+
+// Grid cards label finishes as regular/foil/etched, history uses the cache's finish types
+function getHistoryFinish(type) {
+  return type === 'regular' ? 'nonfoil' : type;
+}
+
+// Dated points for a history series, skipping days without a value
+function getSeriesPoints(dates, series) {
+  if (!series) return [];
+  return dates
+    .map((date, i) => ({ date, price: series[i] }))
+    .filter(point => point.price !== null && point.price !== undefined);
+}
+
+function getPricePoints(history, cardId, finish) {
+  return getSeriesPoints(history?.dates, history?.prices?.[cardId]?.[finish]);
+}
+
+// % change from the last price on or before `days` ago to the latest price
+function getPriceChange(points, days) {
+  if (points.length < 2) return null;
+  const latest = points[points.length - 1];
+  const cutoff = new Date(latest.date);
+  cutoff.setUTCDate(cutoff.getUTCDate() - days);
+  const cutoffDate = cutoff.toISOString().slice(0, 10);
+
+  const past = points.filter(point => point.date <= cutoffDate).pop();
+  if (!past || past.price <= 0) return null;
+  return ((latest.price - past.price) / past.price) * 100;
+}
+
+function formatPriceChange(change, label) {
+  if (change === null) return '';
+  const sign = change > 0 ? '+' : '';
+  const direction = change > 0 ? 'up' : change < 0 ? 'down' : 'flat';
+  return '<span class="price-change ' + direction + '">' + label + ' ' + sign + change.toFixed(0) + '%</span>';
+}
+
+// SVG polyline points for dated prices scaled into a width x height box, with x by date
+// from firstDate to lastDate. History skips days when nothing moved, so each price is
+// held flat until the next recorded one rather than sloped towards it.
+function getLinePoints(points, width, height, minPrice, maxPrice, firstDate = points[0].date, lastDate = points[points.length - 1].date) {
+  const range = maxPrice - minPrice || 1;
+  const start = Date.parse(firstDate);
+  const span = Date.parse(lastDate) - start;
+  const x = date => (span > 0 ? ((Date.parse(date) - start) / span) * width : 0).toFixed(1);
+  const y = price => (height - ((price - minPrice) / range) * height).toFixed(1);
+  return points
+    .map((point, i) => (i > 0 ? x(point.date) + ',' + y(points[i - 1].price) + ' ' : '') + x(point.date) + ',' + y(point.price))
+    .join(' ');
+}
+
+function renderSparkline(points) {
+  const prices = points.map(p => p.price);
+  const linePoints = getLinePoints(points, 100, 20, Math.min(...prices), Math.max(...prices));
+  return '<svg class="sparkline" viewBox="0 -1 100 22" preserveAspectRatio="none">' +
+    '<polyline points="' + linePoints + '" /></svg>';
+}
+
+// Price histories for every set the cards come from, keyed by set code
+async function fetchCardHistories(cards) {
+  const setCodes = [...new Set(cards.map(card => card.set))];
+  const histories = new Map();
+  await Promise.all(setCodes.map(async code => histories.set(code, await fetchPriceHistory(code))));
+  return histories;
+}
+
+// History of the finish a grid card leads with (its most valuable)
+function getCardPricePoints(card, histories) {
+  return getPricePoints(histories.get(card.set), card.id, getHistoryFinish(card.finishPrices[0].type));
+}
+
+// Attach each card's 7-day price change for sorting (null without enough history)
+async function addPriceChanges(cards) {
+  const histories = await fetchCardHistories(cards);
+  return cards.map(card => ({ ...card, priceChange: getPriceChange(getCardPricePoints(card, histories), 7) }));
+}
+
+// Fill in sparklines and 7/30-day changes once history has loaded
+async function renderPriceTrends(cards) {
+  const histories = await fetchCardHistories(cards);
+
+  const grid = document.getElementById('card-grid');
+  for (const card of cards) {
+    const trendEl = grid.querySelector('.card-trend[data-id="' + card.id + '"]');
+    if (!trendEl) continue;
+
+    const points = getCardPricePoints(card, histories);
+    if (points.length < 2) continue;
+
+    trendEl.innerHTML = renderSparkline(points) +
+      formatPriceChange(getPriceChange(points, 7), '7d') +
+      formatPriceChange(getPriceChange(points, 30), '30d');
+    trendEl.classList.remove('hidden');
+    trendEl.addEventListener('click', (e) => {
+      e.stopPropagation();
+      showPriceChart(card, histories.get(card.set));
     });
-    if (card.price > group.maxPrice) {
-      group.maxPrice = card.price;
-      // Use the highest-priced version's treatment as the base
-      group.treatment = card.treatment;
-      group.isFoil = card.isFoil;
-    }
   }
+}
+
+// Price lines for each finish of a card (cache finish types), or '' when there's no history yet
+function renderPriceHistoryChart(cardId, finishes, history) {
+  const width = 600;
+  const height = 200;
+
+  const series = finishes
+    .map(type => ({ type, points: getPricePoints(history, cardId, type) }))
+    .filter(s => s.points.length > 0);
+  if (series.length === 0) return '';
+
+  const prices = series.flatMap(s => s.points.map(p => p.price));
+  const minPrice = Math.min(...prices);
+  const maxPrice = Math.max(...prices);
+  // Finishes can start and stop on different days, so every line shares one date axis
+  const dates = series.flatMap(s => s.points.map(p => p.date)).sort();
+  const firstDate = dates[0];
+  const lastDate = dates[dates.length - 1];
+
+  const lines = series.map(s =>
+    '<polyline class="chart-line ' + s.type + '" points="' + getLinePoints(s.points, width, height, minPrice, maxPrice, firstDate, lastDate) + '" />'
+  ).join('');
+  const legend = series.map(s => {
+    const latest = s.points[s.points.length - 1];
+    return '<span class="chart-legend-item ' + s.type + '">' + getFinishLabel(s.type) + ' $' + latest.price.toFixed(2) + '</span>';
+  }).join(' · ');
+
+  return '<div class="chart-legend">' + legend + getHistoryNote() + '</div>' +
+    '<div class="chart-plot">' +
+      '<div class="chart-y"><span>$' + maxPrice.toFixed(2) + '</span><span>$' + minPrice.toFixed(2) + '</span></div>' +
+      '<svg class="chart" viewBox="0 -2 ' + width + ' ' + (height + 4) + '" preserveAspectRatio="none">' + lines + '</svg>' +
+    '</div>' +
+    '<div class="chart-x"><span>' + firstDate + '</span><span>' + lastDate + '</span></div>';
+}
+
+// Full price chart for every finish of a card
+function showPriceChart(card, history) {
+  const modal = document.getElementById('price-chart');
+  const finishes = card.finishPrices.map(f => getHistoryFinish(f.type));
+
+  modal.querySelector('.chart-title').textContent = card.name.toLowerCase();
+  modal.querySelector('.chart-body').innerHTML = renderPriceHistoryChart(card.id, finishes, history);
+  modal.classList.remove('hidden');
+}
+
+// Pack EV over time for the selected booster type, drawn under the pack EV line
+async function renderEVHistory(setCode, boosterType, lang) {
+  const el = document.getElementById('ev-history');
+  // History only tracks English boosters
+  if (lang !== 'en') {
+    el.classList.add('hidden');
+    return;
+  }
+  const history = await fetchPriceHistory(setCode);
+  const points = getSeriesPoints(history?.dates, history?.ev?.[boosterType]);
+
+  // Skip if there's nothing to chart or the user has moved on to another set
+  if (points.length < 2 || document.getElementById('set-select').value !== setCode) {
+    el.classList.add('hidden');
+    return;
+  }
+
+  const prices = points.map(p => p.price);
+  const minEV = Math.min(...prices);
+  const maxEV = Math.max(...prices);
+  const first = points[0];
+  const latest = points[points.length - 1];
+
+  el.innerHTML =
+    '<svg class="ev-chart" viewBox="0 -2 240 44" preserveAspectRatio="none">' +
+      '<polyline points="' + getLinePoints(points, 240, 40, minEV, maxEV) + '" />' +
+    '</svg>' +
+    '<div class="ev-history-label">ev since ' + first.date + ': $' + first.price.toFixed(2) + ' → $' + latest.price.toFixed(2) +
+      ' (low $' + minEV.toFixed(2) + ', high $' + maxEV.toFixed(2) + ')' + getHistoryNote() + '</div>';
+  el.classList.remove('hidden');
+}
+
+function setupPriceChart() {
+  const modal = document.getElementById('price-chart');
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal || e.target.closest('.chart-close')) modal.classList.add('hidden');
+  });
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') modal.classList.add('hidden');
+  });
+}
+
+// ============ Jumpstart Themes ============
+
+// Theme lists for a Jumpstart set, or null when booster data has none.
+// Like slot layouts, every language uses the English file's.
+async function fetchJumpstartThemes(setCode) {
+  if (!JUMPSTART_SETS.has(setCode)) return null;
+  try {
+    const data = await fetchCachedSetData(setCode);
+    return data?.themes || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function setupJumpstartThemes() {
+  // Card names in the theme table open the card detail, like the grid
+  document.getElementById('jumpstart-themes').addEventListener('click', (e) => {
+    const card = e.target.closest('.theme-card');
+    if (card) showCardDetail(card.dataset.id);
+  });
+}
+
+function renderThemeCard(card) {
+  return '<button type="button" class="theme-card" data-id="' + card.id + '">' + card.name.toLowerCase() + ' ' + formatMoney(card.price) + '</button>';
+}
+
+// Every theme's value, guaranteed cards and rare slot options, most valuable first,
+// to show which themes are worth buying as singles
+async function renderJumpstartThemes(setCode, cards) {
+  const el = document.getElementById('jumpstart-themes');
+  const themes = await fetchJumpstartThemes(setCode);
+
+  // Skip if there's nothing to list or the user has moved on to another set
+  if (!themes || document.getElementById('set-select').value !== setCode) {
+    el.classList.add('hidden');
+    return;
+  }
+
+  const values = calculateThemeValues(cards, themes, getMarket());
+  const average = values.reduce((sum, theme) => sum + theme.ev, 0) / values.length;
+
+  el.innerHTML =
+    '<div class="themes-summary">' + values.length + ' themes · average theme ~' + formatMoney(average) + '</div>' +
+    '<table class="themes-table">' +
+      '<thead><tr><th>theme</th><th class="theme-ev">ev</th><th>guaranteed cards</th><th>rare slot</th></tr></thead>' +
+      '<tbody>' + values.map(theme =>
+        '<tr>' +
+          '<td class="theme-name">' + theme.name.toLowerCase() + '</td>' +
+          '<td class="theme-ev">' + formatMoney(theme.ev) + '</td>' +
+          '<td>' + theme.cards.map(renderThemeCard).join('') +
+            (theme.bulk ? '<span class="theme-note">+' + theme.bulk + ' bulk</span>' : '') + '</td>' +
+          '<td>' + (theme.rareCount ? '<span class="theme-note">1 of ' + theme.rareCount + '</span>' : '') +
+            theme.rares.map(renderThemeCard).join('') + '</td>' +
+        '</tr>'
+      ).join('') + '</tbody>' +
+    '</table>';
+  el.classList.remove('hidden');
+}
+
+// ============ Card Detail ============
+
+// Scryfall serves each image at several sizes, differing only in this path segment
+function getLargeImage(url) {
+  return url.replace('/normal/', '/large/');
+}
+
+// One image per face for double-faced cards, otherwise just the card image
+function getCardImages(card) {
+  const faces = card.card_faces?.map(face => face.image_uris?.normal).filter(Boolean) || [];
+  if (faces.length > 1) return faces;
+  const image = card.image_uris?.normal || faces[0];
+  return image ? [image] : [];
+}
+
+// Cardmarket search, which lists every printing with that name
+function getCardmarketUrl(searchTerm) {
+  return 'https://www.cardmarket.com/en/Magic/Products/Search?searchString=' + encodeURIComponent(searchTerm);
+}
+
+// TCGplayer product page for this printing, or a name search if we don't know it
+function getCardTcgPlayerUrl(card) {
+  if (card.tcgplayer_id) return 'https://www.tcgplayer.com/product/' + card.tcgplayer_id;
+  return 'https://www.tcgplayer.com/search/magic/product?productLineName=magic&q=' + encodeURIComponent(card.name) + '&view=grid';
+}
 
-  // Sort finish prices within each card (highest first)
-  for (const card of grouped.values()) {
-    card.finishPrices.sort((a, b) => b.price - a.price);
+// Booster types whose cached list has this printing, labeled like the booster toggle.
+// Cards merged in from other sets (special guests, bonus sheets) fall back to the current booster.
+async function getCardBoosterTypes(card) {
+  const setCode = document.getElementById('set-select').value;
+  let data = null;
+  try {
+    data = await fetchCachedSetData(setCode, getLanguage());
+  } catch (e) {
+    // Live-fetched set, no cache to check
   }
 
-  // Sort by max price
-  return Array.from(grouped.values()).sort((a, b) => b.maxPrice - a.maxPrice);
+  let types = ['play', 'set_booster', 'collector'].filter(type => getCachedCardList(data, type).some(c => c.id === card.id));
+  if (types.length === 0) types = [currentPack.boosterType];
+
+  return types.map(type =>
+    document.querySelector('#booster-toggle .toggle-btn[data-value="' + type + '"]')?.textContent || type
+  );
+}
+
+function formatPullOdds(chance) {
+  if (!chance) return '—';
+  if (chance >= 0.5) return (chance * 100).toFixed(0) + '% of packs';
+  return '1 in ' + Math.round(1 / chance).toLocaleString() + ' packs';
+}
+
+async function showCardDetail(cardId) {
+  const entry = findCardFinishes(cardId);
+  if (!entry) return;
+
+  const { card, finishes } = entry;
+  const modal = document.getElementById('card-detail');
+  const odds = getCardPullOdds(currentPack.model, card.id);
+  const ev = getCardEVContributions(currentPack.model).get(card.id) || 0;
+  const evShare = currentPack.ev > 0 ? (ev / currentPack.ev) * 100 : 0;
+  const [boosterTypes, history] = await Promise.all([getCardBoosterTypes(card), fetchPriceHistory(card.set)]);
+
+  const facts = [
+    ['rarity', card.rarity],
+    ['set', card.set + ' #' + card.collector_number],
+    ['treatment', getCardTreatment(card, false).toLowerCase()],
+    ['boosters', boosterTypes.join(', ')],
+    ['pull odds', formatPullOdds(odds.pack)],
+    ['pack ev', currentPack.model.length ? formatMoney(ev) + ' (' + evShare.toFixed(1) + '% of pack ev)' : '—'],
+  ];
+
+  const finishRows = finishes.map(f =>
+    '<tr><td>' + getFinishLabel(f.type) + '</td>' +
+      '<td class="detail-num">' + formatMoney(f.price) + '</td>' +
+      '<td class="detail-num">' + formatPullOdds(odds.finishes[f.type]) + '</td></tr>'
+  ).join('');
+
+  modal.querySelector('.detail-title').textContent = card.name.toLowerCase();
+  modal.querySelector('.detail-body').innerHTML =
+    '<div class="detail-layout">' +
+      '<div class="detail-images">' +
+        getCardImages(card).map(url => '<img class="detail-image" src="' + getLargeImage(url) + '" alt="' + card.name + '" />').join('') +
+      '</div>' +
+      '<div class="detail-info">' +
+        '<dl class="detail-facts">' + facts.map(([label, value]) => '<dt>' + label + '</dt><dd>' + value + '</dd>').join('') + '</dl>' +
+        '<table class="detail-finishes">' +
+          '<thead><tr><th>finish</th><th class="detail-num">price</th><th class="detail-num">odds</th></tr></thead>' +
+          '<tbody>' + finishRows + '</tbody>' +
+        '</table>' +
+        '<div class="detail-links">' +
+          '<a href="' + (card.scryfall_uri || '#') + '" target="_blank">scryfall</a> · ' +
+          '<a href="' + getCardTcgPlayerUrl(card) + '" target="_blank">tcgplayer</a> · ' +
+          '<a href="' + getCardmarketUrl(card.name) + '" target="_blank">cardmarket</a>' +
+        '</div>' +
+      '</div>' +
+    '</div>' +
+    renderPriceHistoryChart(card.id, finishes.map(f => f.type), history);
+  modal.classList.remove('hidden');
+}
+
+function setupCardDetail() {
+  const modal = document.getElementById('card-detail');
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal || e.target.closest('.detail-close')) modal.classList.add('hidden');
+  });
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') modal.classList.add('hidden');
+  });
 }
 
-// Calculate expected value of opening a pack
-// Based on pull rates for the rare/mythic slot (main source of value)
-function calculatePackEV(cards) {
-  // Expand all finishes first (we need all versions for EV calculation)
-  const expanded = expandCardFinishes(cards);
+// ============ Leaderboard ============
+
+// Rows for every set per market, computed once per page load from the cached data files
+const leaderboardRows = {};
+const leaderboardLoading = {};
+
+const LEADERBOARD_CONCURRENCY = 6;
+
+function hasCollectorBoosters(set) {
+  return set.released >= COLLECTOR_BOOSTER_START && !JUMPSTART_SETS.has(set.code) && !DRAFT_ONLY_SETS.has(set.code);
+}
 
-  // Group by rarity and separate foil/non-foil
-  const nonFoilRares = expanded.filter(c => c.rarity === 'rare' && !c.isFoil);
-  const nonFoilMythics = expanded.filter(c => c.rarity === 'mythic' && !c.isFoil);
-  const foilRares = expanded.filter(c => c.rarity === 'rare' && c.isFoil);
-  const foilMythics = expanded.filter(c => c.rarity === 'mythic' && c.isFoil);
+// EV and the most valuable card's share of it for one booster type, or null without a pack model
+// Lottery cards would top every ranking, so they're left out as in the cards view by default
+function getBoosterSummary(data, boosterType, market) {
+  const cards = getCachedCards(data, boosterType).filter(card => !isLotteryCard(card, data.slots?.[boosterType]));
+  const model = buildPackModel(cards, data.slots?.[boosterType], data.counts?.[boosterType], market, boosterType);
+  if (model.length === 0) return null;
+  const { total } = calculatePackEV(cards, data.slots?.[boosterType], data.counts?.[boosterType], market, boosterType);
+
+  let topCard = null;
+  for (const [id, ev] of getCardEVContributions(model)) {
+    if (!topCard || ev > topCard.ev) topCard = { id, ev };
+  }
+  if (topCard) topCard.name = cards.find(c => c.id === topCard.id).name;
+
+  return { ev: total, topCard, topShare: topCard && total > 0 ? topCard.ev / total : null };
+}
+
+async function computeLeaderboardRow(set, market) {
+  try {
+    const data = await fetchCachedSetData(set.code);
+    if (!data) return null;
+    return {
+      set,
+      play: getBoosterSummary(data, 'play', market),
+      set_booster: hasSetBoosters(set.code, set.released) ? getBoosterSummary(data, 'set_booster', market) : null,
+      collector: hasCollectorBoosters(set) ? getBoosterSummary(data, 'collector', market) : null,
+    };
+  } catch (e) {
+    return null;
+  }
+}
 
-  // Count unique cards per rarity (for probability calculation)
-  const uniqueRares = new Set(nonFoilRares.map(c => c.id)).size || 1;
-  const uniqueMythics = new Set(nonFoilMythics.map(c => c.id)).size || 1;
-  const uniqueFoilRares = new Set(foilRares.map(c => c.id)).size || 1;
-  const uniqueFoilMythics = new Set(foilMythics.map(c => c.id)).size || 1;
+// Load every set's cache file a few at a time, reporting progress as we go
+async function computeLeaderboard(market, onProgress) {
+  const rows = [];
+  let next = 0;
+  let done = 0;
+
+  const worker = async () => {
+    while (next < setsData.length) {
+      const set = setsData[next++];
+      const row = await computeLeaderboardRow(set, market);
+      if (row) rows.push(row);
+      onProgress(++done, setsData.length);
+    }
+  };
+  await Promise.all(Array.from({ length: LEADERBOARD_CONCURRENCY }, worker));
 
-  // Calculate EV for rare/mythic slot (non-foil)
-  let ev = 0;
+  return rows;
+}
 
-  for (const card of nonFoilRares) {
-    ev += card.price * (RARE_RATE / uniqueRares);
+// Sort value for a row under the current ranking; null sorts last
+function getRankValue(row, rank, boosterType, boxPrice) {
+  const summary = row[boosterType];
+  if (rank === 'play' || rank === 'set_booster' || rank === 'collector') return row[rank]?.ev ?? null;
+  if (rank === 'value') {
+    if (!summary || !boxPrice) return null;
+    return (summary.ev * PACKS_PER_BOX[boosterType]) / boxPrice;
   }
-  for (const card of nonFoilMythics) {
-    ev += card.price * (MYTHIC_RATE / uniqueMythics);
+  return summary?.topShare ?? null;
+}
+
+async function loadLeaderboard() {
+  const statusEl = document.getElementById('leaderboard-status');
+  const market = getMarket();
+
+  if (!leaderboardRows[market]) {
+    if (!leaderboardLoading[market]) {
+      statusEl.textContent = 'loading sets...';
+      statusEl.classList.remove('hidden');
+      leaderboardLoading[market] = computeLeaderboard(market, (done, total) => {
+        statusEl.textContent = 'loading sets... ' + done + '/' + total;
+      });
+    }
+    leaderboardRows[market] = await leaderboardLoading[market];
+    statusEl.classList.add('hidden');
   }
 
-  // Foil slot contribution
-  for (const card of foilRares) {
-    ev += card.price * (FOIL_RARE_RATE / uniqueFoilRares);
+  renderLeaderboard();
+}
+
+function renderLeaderboard() {
+  // Rows still loading for a newly picked market are rendered once they arrive
+  const marketRows = leaderboardRows[getMarket()];
+  if (!marketRows) return;
+
+  const rank = document.getElementById('rank-mode').value;
+  const boosterType = document.getElementById('lb-booster-type').value;
+  const boxPrice = parseFloat(document.getElementById('lb-box-price').value) || 0;
+
+  const rows = marketRows
+    .map(row => ({ row, value: getRankValue(row, rank, boosterType, boxPrice) }))
+    .sort((a, b) => {
+      if (a.value === null) return b.value === null ? 0 : 1;
+      if (b.value === null) return -1;
+      return b.value - a.value;
+    });
+
+  const formatEV = summary => summary ? formatMoney(summary.ev) : '—';
+
+  const body = rows.map(({ row }, i) => {
+    const summary = row[boosterType];
+    const value = getRankValue(row, 'value', boosterType, boxPrice);
+    const topCard = summary?.topCard
+      ? '<span class="lb-top-name">' + summary.topCard.name.toLowerCase() + '</span> ' + (summary.topShare * 100).toFixed(0) + '%'
+      : '—';
+
+    return '<tr data-set="' + row.set.code + '">' +
+      '<td class="lb-rank">' + (i + 1) + '</td>' +
+      '<td class="lb-set">' + row.set.name.toLowerCase() + ' <span class="year">' + row.set.released.slice(0, 4) + '</span></td>' +
+      '<td class="lb-num">' + formatEV(row.play) + '</td>' +
+      '<td class="lb-num">' + formatEV(row.set_booster) + '</td>' +
+      '<td class="lb-num">' + formatEV(row.collector) + '</td>' +
+      '<td class="lb-num">' + (value !== null ? value.toFixed(2) + '×' : '—') + '</td>' +
+      '<td class="lb-top">' + topCard + '</td>' +
+    '</tr>';
+  }).join('');
+
+  document.getElementById('leaderboard-body').innerHTML = body;
+}
+
+function setupLeaderboard() {
+  const onChange = () => {
+    updateURL(getCurrentState());
+    renderLeaderboard();
+  };
+  setupToggle('rank-toggle', 'rank-mode', onChange);
+  setupToggle('lb-booster-toggle', 'lb-booster-type', onChange);
+  document.getElementById('lb-box-price').addEventListener('input', onChange);
+
+  // Jump to a set's cards from its row
+  document.getElementById('leaderboard-body').addEventListener('click', (e) => {
+    const row = e.target.closest('tr[data-set]');
+    if (!row) return;
+    const set = setsData.find(s => s.code === row.dataset.set);
+    const boosterType = document.getElementById('lb-booster-type').value;
+
+    autocomplete.setInitialSet(set);
+    updateBoosterTypeOptions(set.released, set.code, boosterType);
+    updateFilterToggles(set.code, set.released);
+    setToggleValue('view-toggle', 'view-mode', 'cards');
+    onViewChange();
+  });
+}
+
+// ============ Compare ============
+
+const COMPARE_TOP_CARDS = 5;
+
+// Bumped on every load so a slow response can't overwrite a newer comparison
+let compareRequest = 0;
+
+const compareAutocompletes = {};
+
+function getCompareValue(side) {
+  const setCode = document.getElementById('compare-' + side + '-set').value;
+  if (!setCode) return '';
+  return setCode + ':' + document.getElementById('compare-' + side + '-booster').value;
+}
+
+// Pick a set and booster type for one side from a "set:booster" value
+function setCompareSide(side, value) {
+  const [setCode, boosterType = 'play'] = value.split(':');
+  const set = setsData.find(s => s.code === setCode) || setsData[0];
+
+  compareAutocompletes[side].setInitialSet(set);
+  updateBoosterTypeOptions(set.released, set.code, boosterType, 'compare-' + side + '-booster-toggle', 'compare-' + side + '-booster');
+}
+
+// Pack and box EV, cards over the price threshold and how much of the EV the top cards carry
+async function getCompareSummary(setCode, boosterType, minPrice, includeList) {
+  const lang = getLanguage();
+  const cards = await getSetCards(setCode, boosterType, includeList, lang);
+  const slots = await fetchBoosterSlots(setCode, boosterType);
+  const counts = await fetchRarityCounts(setCode, boosterType, lang);
+  const market = getMarket();
+  const evCards = getEVCards(cards, slots);
+  const model = buildPackModel(evCards, slots, counts, market, boosterType);
+  // null when there's no pack model to price (set boosters without booster data)
+  const ev = model.length ? calculatePackEV(evCards, slots, counts, market, boosterType).total : null;
+
+  const valuable = filterAndSortCards(evCards, { minPrice, market });
+  const shares = Array.from(getCardEVContributions(model).values()).sort((a, b) => b - a);
+  const topShare = count => ev > 0 ? shares.slice(0, count).reduce((sum, share) => sum + share, 0) / ev : null;
+
+  return {
+    set: setsData.find(s => s.code === setCode),
+    boosterType,
+    ev,
+    boxEV: ev === null ? null : ev * getPacksPerOpening('box', boosterType),
+    overThreshold: valuable.length,
+    topCards: valuable.slice(0, COMPARE_TOP_CARDS),
+    topShare: topShare(1),
+    top5Share: topShare(COMPARE_TOP_CARDS),
+  };
+}
+
+async function loadCompare() {
+  const request = ++compareRequest;
+  const statusEl = document.getElementById('compare-status');
+  const minPrice = parseFloat(document.getElementById('min-price').value) || 0;
+  const includeList = document.getElementById('list-mode').value === 'include';
+
+  statusEl.textContent = 'loading cards...';
+  statusEl.classList.remove('hidden');
+
+  try {
+    const summaries = await Promise.all(['a', 'b'].map(async side => {
+      const [setCode, boosterType] = getCompareValue(side).split(':');
+      const summary = await getCompareSummary(setCode, boosterType, minPrice, includeList);
+      // Label the booster the way the side's toggle does (e.g. "draft")
+      summary.boosterLabel = document.querySelector('#compare-' + side + '-booster-toggle .toggle-btn.active')?.textContent || boosterType;
+      return summary;
+    }));
+    if (request !== compareRequest) return;
+    renderCompare(summaries, minPrice);
+    statusEl.classList.add('hidden');
+  } catch (error) {
+    if (request !== compareRequest) return;
+    console.error('Error loading comparison:', error);
+    statusEl.textContent = 'failed to load cards. please try again.';
   }
-  for (const card of foilMythics) {
-    ev += card.price * (FOIL_MYTHIC_RATE / uniqueFoilMythics);
+}
+
+function renderCompare([a, b], minPrice) {
+  const formatShare = value => value === null ? '—' : (value * 100).toFixed(0) + '%';
+  const formatEV = value => value === null ? '—' : formatMoney(value);
+
+  // Higher is better for EV and card count; lower concentration means less riding on one card
+  const rows = [
+    ['pack ev', s => s.ev, formatEV, 'high'],
+    ['box ev', s => s.boxEV, formatEV, 'high'],
+    ['cards over ' + formatMoney(minPrice, 0), s => s.overThreshold, String, 'high'],
+    ['top card share of ev', s => s.topShare, formatShare, 'low'],
+    ['top ' + COMPARE_TOP_CARDS + ' share of ev', s => s.top5Share, formatShare, 'low'],
+  ];
+
+  const cell = (summary, other, getValue, format, better) => {
+    const value = getValue(summary);
+    const otherValue = getValue(other);
+    const isBetter = value !== null && otherValue !== null && value !== otherValue &&
+      (better === 'high' ? value > otherValue : value < otherValue);
+    return '<td class="compare-num' + (isBetter ? ' compare-better' : '') + '">' + format(value) + '</td>';
+  };
+
+  const topCards = summary => '<ol class="compare-top">' +
+    summary.topCards.map(card =>
+      '<li><span class="compare-card-name">' + card.name.toLowerCase() + '</span> ' + formatMoney(card.maxPrice) + '</li>'
+    ).join('') +
+  '</ol>';
+
+  document.getElementById('compare-body').innerHTML =
+    '<thead><tr><th></th>' +
+      [a, b].map(s => '<th>' + s.set.name.toLowerCase() + ' · ' + s.boosterLabel + '</th>').join('') +
+    '</tr></thead>' +
+    '<tbody>' +
+      rows.map(([label, getValue, format, better]) =>
+        '<tr><td class="compare-label">' + label + '</td>' +
+          cell(a, b, getValue, format, better) + cell(b, a, getValue, format, better) +
+        '</tr>'
+      ).join('') +
+      '<tr class="compare-top-row"><td class="compare-label">top cards</td><td>' + topCards(a) + '</td><td>' + topCards(b) + '</td></tr>' +
+    '</tbody>';
+}
+
+function setupCompare() {
+  const onChange = () => {
+    updateURL(getCurrentState());
+    loadCompare();
+  };
+
+  for (const side of ['a', 'b']) {
+    const toggleId = 'compare-' + side + '-booster-toggle';
+    const hiddenId = 'compare-' + side + '-booster';
+
+    compareAutocompletes[side] = createSetAutocomplete({
+      inputEl: document.getElementById('compare-' + side + '-input'),
+      dropdownEl: document.getElementById('compare-' + side + '-dropdown'),
+      hiddenEl: document.getElementById('compare-' + side + '-set'),
+      sets: setsData,
+      onSelect: (set) => {
+        updateBoosterTypeOptions(set.released, set.code, document.getElementById(hiddenId).value, toggleId, hiddenId);
+        onChange();
+      },
+    });
+    setupToggle(toggleId, hiddenId, onChange, { disableWhenSingle: true });
   }
 
-  return ev;
+  document.getElementById('compare-swap').addEventListener('click', () => {
+    const a = getCompareValue('a');
+    setCompareSide('a', getCompareValue('b'));
+    setCompareSide('b', a);
+    onChange();
+  });
+}
+
+// ============ Views ============
+
+function showView(view) {
+  document.getElementById('cards-view').classList.toggle('hidden', view !== 'cards');
+  document.getElementById('leaderboard-view').classList.toggle('hidden', view !== 'leaderboard');
+  document.getElementById('compare-view').classList.toggle('hidden', view !== 'compare');
+}
+
+function onViewChange() {
+  const view = document.getElementById('view-mode').value;
+  updateURL(getCurrentState());
+  showView(view);
+  if (view === 'leaderboard') {
+    loadLeaderboard();
+  } else if (view === 'compare') {
+    loadCompare();
+  } else {
+    loadCards();
+  }
 }
 
 // ============ Rendering ============
 
+// Store search for a booster product, e.g. "Dominaria United set booster"
+function getBoosterSearchTerm(setName, boosterType) {
+  if (boosterType === 'collector') return setName + ' collector booster';
+  if (boosterType === 'set_booster') return setName + ' set booster';
+  return setName + ' booster';
+}
+
 function getTcgPlayerUrl(setName, boosterType) {
   // Build a TCGPlayer search URL for the booster product
-  let searchTerm = setName;
-  if (boosterType === 'collector') {
-    searchTerm += ' collector booster';
-  } else {
-    searchTerm += ' booster';
-  }
+  const searchTerm = getBoosterSearchTerm(setName, boosterType);
   return 'https://www.tcgplayer.com/search/magic/product?productLineName=magic&q=' + encodeURIComponent(searchTerm) + '&view=grid';
 }
 
-function renderCards(cards, rawCards, setInfo, boosterType) {
+// Where to buy the booster in the selected market (MTGO's store isn't on the web)
+function renderStoreLink(setName, boosterType) {
+  const market = getMarket();
+  if (market === 'tix') return '';
+  if (market === 'eur') {
+    const url = getCardmarketUrl(getBoosterSearchTerm(setName, boosterType));
+    return '<a href="' + url + '" target="_blank" class="tcg-link">buy on cardmarket</a>';
+  }
+  return '<a href="' + getTcgPlayerUrl(setName, boosterType) + '" target="_blank" class="tcg-link">buy on tcgplayer</a>';
+}
+
+// "1 in N packs · X% per box", or nothing for cards outside the pack model
+function renderCardOdds(card, boosterType) {
+  if (!card.pullOdds) return '';
+  const boxChance = 1 - (1 - card.pullOdds) ** getPacksPerOpening('box', boosterType);
+  const boxPercent = boxChance * 100;
+  return '<div class="card-odds">' + formatPullOdds(card.pullOdds) + ' · ' +
+    boxPercent.toFixed(boxPercent < 10 ? 1 : 0) + '% per box</div>';
+}
+
+// Booster-data slot names are camelCase ("collectorExclusive")
+function formatSlotName(name) {
+  return name.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+}
+
+// Pack EV total with the per-slot breakdown underneath
+function renderPackEV(packEV, storeLink) {
+  // No slots means no pack model: set boosters the booster data doesn't cover yet
+  if (packEV.slots.length === 0) {
+    return 'pack ev: <span class="ev-value">—</span> <span class="ev-note">no booster data for this booster yet</span> ' + storeLink +
+      '<button type="button" class="pull-log-link">log pulls</button>' +
+      renderOfflineLink();
+  }
+
+  const breakdown = packEV.slots
+    .filter(slot => slot.ev >= 0.01)
+    .map(slot => '<span class="ev-slot">' + formatSlotName(slot.name) + ' ' + formatMoney(slot.ev) + '</span>')
+    .join(' · ');
+
+  return 'pack ev: <span class="ev-value">~' + formatMoney(packEV.total) + '</span> ' + storeLink +
+    '<button type="button" class="sim-link">simulate</button>' +
+    '<button type="button" class="pull-log-link">log pulls</button>' +
+    renderOfflineLink() +
+    (breakdown ? '<div class="ev-breakdown">' + breakdown + '</div>' : '');
+}
+
+function renderCardTile(card, boosterType) {
+  const imageUrl = card.image_uris?.normal ||
+                   card.card_faces?.[0]?.image_uris?.normal ||
+                   '';
+
+  // Build treatment string (without foil since we show it in prices)
+  const treatment = getTreatmentLabel(card);
+
+  // Build price display with treatment inline
+  const priceItems = card.finishPrices
+    .map(f => '<span class="finish-price"><span class="finish-type">' + f.type + '</span> ' + formatMoney(f.price) + '</span>');
+
+  const priceDisplay = treatment
+    ? '<span class="card-treatment">' + treatment + '</span> · ' + priceItems.join(' · ')
+    : priceItems.join(' · ');
+
+  return '<div class="card" data-id="' + card.id + '">' +
+    '<img class="card-image" src="' + imageUrl + '" alt="' + card.name + '" loading="lazy" />' +
+    '<div class="card-info">' +
+      '<div class="card-name" title="' + card.name + '">' + card.name.toLowerCase() + '</div>' +
+      '<div class="card-prices">' + priceDisplay + '</div>' +
+      renderCardOdds(card, boosterType) +
+      '<div class="card-trend hidden" data-id="' + card.id + '" title="price history"></div>' +
+    '</div>' +
+  '</div>';
+}
+
+// Section header with the group's card count, summed prices and summed EV contribution
+function renderGroupHeader(group) {
+  return '<div class="card-group-header">' +
+    '<span class="card-group-name">' + group.name + '</span>' +
+    '<span class="card-group-total">' + group.cards.length + ' card' + (group.cards.length === 1 ? '' : 's') +
+      ' · ' + formatMoney(group.total) + ' · ev ' + formatMoney(group.ev) + '</span>' +
+  '</div>';
+}
+
+function renderCards(cards, rawCards, setInfo, boosterType, slots, counts, groupBy) {
   const grid = document.getElementById('card-grid');
   const countEl = document.getElementById('card-count');
   const evEl = document.getElementById('pack-ev');
 
   // Calculate pack EV from raw cards (before filtering)
-  const packEV = calculatePackEV(rawCards);
+  const packEV = calculatePackEV(rawCards, slots, counts, getMarket(), boosterType);
 
-  // Build TCGPlayer link
-  const tcgUrl = setInfo ? getTcgPlayerUrl(setInfo.name, boosterType) : null;
-  const tcgLink = tcgUrl ? '<a href="' + tcgUrl + '" target="_blank" class="tcg-link">buy on tcgplayer</a>' : '';
+  const storeLink = setInfo ? renderStoreLink(setInfo.name, boosterType) : '';
 
   if (cards.length === 0) {
     grid.innerHTML =
@@ -632,8 +2125,8 @@ function renderCards(cards, rawCards, setInfo, boosterType) {
       '</div>';
     countEl.classList.add('hidden');
     // Still show EV even if no cards match current filters
-    if (packEV > 0) {
-      evEl.innerHTML = 'pack ev: <span class="ev-value">~$' + packEV.toFixed(2) + '</span> ' + tcgLink;
+    if (packEV.total > 0) {
+      evEl.innerHTML = renderPackEV(packEV, storeLink);
       evEl.classList.remove('hidden');
     } else {
       evEl.classList.add('hidden');
@@ -644,43 +2137,28 @@ function renderCards(cards, rawCards, setInfo, boosterType) {
   countEl.textContent = 'showing ' + cards.length + ' card' + (cards.length === 1 ? '' : 's');
   countEl.classList.remove('hidden');
 
-  // Display pack EV with TCGPlayer link
-  evEl.innerHTML = 'pack ev: <span class="ev-value">~$' + packEV.toFixed(2) + '</span> ' + tcgLink;
+  // Display pack EV with the store link
+  evEl.innerHTML = renderPackEV(packEV, storeLink);
   evEl.classList.remove('hidden');
 
-  grid.innerHTML = cards.map(card => {
-    const imageUrl = card.image_uris?.normal ||
-                     card.card_faces?.[0]?.image_uris?.normal ||
-                     '';
-    const scryfallUrl = card.scryfall_uri || '#';
-
-    // Build treatment string (without foil since we show it in prices)
-    let treatment = card.treatment.toLowerCase().replace(/, ?foil$/i, '').replace(/^foil, ?/i, '').replace(/^foil$/i, '');
-    if (!treatment || treatment === 'regular') treatment = '';
-
-    // Build price display with treatment inline
-    const priceItems = card.finishPrices
-      .map(f => '<span class="finish-price"><span class="finish-type">' + f.type + '</span> $' + f.price.toFixed(2) + '</span>');
-
-    const priceDisplay = treatment
-      ? '<span class="card-treatment">' + treatment + '</span> · ' + priceItems.join(' · ')
-      : priceItems.join(' · ');
-
-    return '<div class="card" data-url="' + scryfallUrl + '">' +
-      '<img class="card-image" src="' + imageUrl + '" alt="' + card.name + '" loading="lazy" />' +
-      '<div class="card-info">' +
-        '<div class="card-name" title="' + card.name + '">' + card.name.toLowerCase() + '</div>' +
-        '<div class="card-prices">' + priceDisplay + '</div>' +
-      '</div>' +
-    '</div>';
-  }).join('');
+  grid.innerHTML = groupCards(cards, groupBy).map(group =>
+    (group.name ? renderGroupHeader(group) : '') +
+    group.cards.map(card => renderCardTile(card, boosterType)).join('')
+  ).join('');
 
   grid.querySelectorAll('.card').forEach(card => {
     card.style.cursor = 'pointer';
-    card.addEventListener('click', () => {
-      window.open(card.dataset.url, '_blank');
+    card.addEventListener('click', (e) => {
+      // While a pull session is open, clicking a card logs it instead
+      if (isPullLogOpen()) {
+        showFinishPicker(card.dataset.id, e.clientX, e.clientY);
+        return;
+      }
+      showCardDetail(card.dataset.id);
     });
   });
+
+  renderPriceTrends(cards);
 }
 
 function setLoading(loading) {
@@ -689,6 +2167,9 @@ function setLoading(loading) {
   if (loading) {
     document.getElementById('card-count').classList.add('hidden');
     document.getElementById('pack-ev').classList.add('hidden');
+    document.getElementById('ev-history').classList.add('hidden');
+    document.getElementById('jumpstart-themes').classList.add('hidden');
+    document.getElementById('lottery').classList.add('hidden');
   }
 }
 
@@ -699,19 +2180,52 @@ function showError(message) {
   document.getElementById('card-grid').classList.add('hidden');
   document.getElementById('card-count').classList.add('hidden');
   document.getElementById('pack-ev').classList.add('hidden');
+  document.getElementById('ev-history').classList.add('hidden');
+  document.getElementById('jumpstart-themes').classList.add('hidden');
+  document.getElementById('lottery').classList.add('hidden');
 }
 
 // ============ Main Logic ============
 
 const cardCache = new Map();
 
+// Cards for a set/booster, fetched once per page load
+async function getSetCards(setCode, boosterType, includeList, lang) {
+  const cacheKey = setCode + '-' + boosterType + '-' + includeList + '-' + lang;
+  if (!cardCache.has(cacheKey)) {
+    cardCache.set(cacheKey, await fetchSetCards(setCode, boosterType, includeList, lang));
+  }
+  return cardCache.get(cacheKey);
+}
+
+// Grid filters from the controls, in the shape filterAndSortCards expects
+function getCardFilters() {
+  const maxPrice = parseFloat(document.getElementById('max-price').value);
+  const rarities = document.getElementById('rarity-mode').value;
+  const treatments = document.getElementById('treatment-mode').value;
+  return {
+    minPrice: parseFloat(document.getElementById('min-price').value) || 0,
+    maxPrice: isNaN(maxPrice) ? null : maxPrice,
+    rarities: rarities === ALL_RARITIES ? null : rarities.split(','),
+    excludeFoils: document.getElementById('foils-mode').value === 'exclude',
+    finish: document.getElementById('finish-mode').value,
+    treatments: treatments ? treatments.split(',') : [],
+    search: document.getElementById('name-search').value,
+    market: getMarket(),
+  };
+}
+
+// Bumped on every load so a slow response can't render over a newer one
+let cardsRequest = 0;
+
 async function loadCards() {
+  const request = ++cardsRequest;
   const setCode = document.getElementById('set-select').value;
   const boosterType = document.getElementById('booster-type').value;
-  const minPrice = parseFloat(document.getElementById('min-price').value);
-  const foilsMode = document.getElementById('foils-mode').value;
-  const raresMode = document.getElementById('rares-mode').value;
   const listMode = document.getElementById('list-mode').value;
+  const sortBy = document.getElementById('sort-mode').value;
+  const groupBy = document.getElementById('group-mode').value;
+  const lang = getLanguage();
 
   if (!setCode) return;
 
@@ -719,27 +2233,36 @@ async function loadCards() {
   setLoading(true);
 
   const includeList = listMode === 'include';
-  const cacheKey = setCode + '-' + boosterType + '-' + includeList;
 
   try {
-    let allCards;
-    if (cardCache.has(cacheKey)) {
-      allCards = cardCache.get(cacheKey);
-    } else {
-      allCards = await fetchSetCards(setCode, boosterType, includeList);
-      cardCache.set(cacheKey, allCards);
-    }
-
-    const excludeFoils = foilsMode === 'exclude';
-    const excludeRares = raresMode === 'exclude';
-    const cards = filterAndSortCards(allCards, minPrice, excludeRares, excludeFoils);
+    const allCards = await getSetCards(setCode, boosterType, includeList, lang);
+    const slots = await fetchBoosterSlots(setCode, boosterType);
+    const counts = await fetchRarityCounts(setCode, boosterType, lang);
+    if (request !== cardsRequest) return;
+    restoreSealedPrice(setCode, boosterType);
+    setCurrentPack(allCards, slots, counts, boosterType);
+    renderROI();
+    if (isPullLogOpen()) loadPullSessions();
+
+    const lotteryCards = allCards.filter(card => isLotteryCard(card, slots));
+    renderLottery(lotteryCards, slots, counts, boosterType);
+
+    const regularCards = allCards.filter(card => !lotteryCards.includes(card));
+    const filtered = filterAndSortCards(regularCards, getCardFilters());
+    let cards = addCardOdds(filtered, currentPack.model);
+    if (sortBy === 'change') cards = await addPriceChanges(cards);
+    if (request !== cardsRequest) return;
+    cards = sortCards(cards, sortBy);
     const setInfo = setsData.find(s => s.code === setCode);
-    renderCards(cards, allCards, setInfo, boosterType);
+    renderCards(cards, getEVCards(allCards, slots), setInfo, boosterType, slots, counts, groupBy);
+    renderEVHistory(setCode, boosterType, lang);
+    renderJumpstartThemes(setCode, allCards);
   } catch (error) {
+    if (request !== cardsRequest) return;
     console.error('Error loading cards:', error);
     showError('failed to load cards. please try again.');
   } finally {
-    setLoading(false);
+    if (request === cardsRequest) setLoading(false);
   }
 }
 
@@ -769,11 +2292,25 @@ async function init() {
     });
 
     setupToggles();
+    setupSimulator();
+    setupJumpstartThemes();
+    setupLottery();
+    setupPriceChart();
+    setupCardDetail();
+    setupLeaderboard();
+    setupCompare();
+    setupSealedPrice();
+    setupPullLog();
+    setupOffline();
+    setupToggle('view-toggle', 'view-mode', onViewChange);
+    setupToggle('market-toggle', 'market', onMarketChange);
     setInput.disabled = false;
     setInput.placeholder = 'type to search sets...';
 
     // Read initial state from URL
     const urlState = getStateFromURL();
+    setToggleValue('market-toggle', 'market', urlState.market);
+    updateMarketLabels();
 
     // Apply URL state or defaults
     let initialSet = setsData[0];
@@ -794,8 +2331,46 @@ async function init() {
     // Set toggles from URL (after updateFilterToggles so visibility is set first)
     setToggleValue('price-toggle', 'min-price', urlState.min);
     setToggleValue('foils-toggle', 'foils-mode', urlState.foils);
-    setToggleValue('rares-toggle', 'rares-mode', urlState.rares);
+    setToggleValue('lottery-toggle', 'lottery-mode', urlState.lottery);
+    if (!document.querySelector('#price-toggle .toggle-btn.active')) {
+      document.getElementById('custom-min-price').value = urlState.min;
+    }
+    document.getElementById('max-price').value = urlState.max;
+    setMultiToggleValue('rarity-toggle', 'rarity-mode', urlState.rarity);
+    if (!document.getElementById('rarity-mode').value) setMultiToggleValue('rarity-toggle', 'rarity-mode', ALL_RARITIES);
+    setMultiToggleValue('treatment-toggle', 'treatment-mode', urlState.treatments);
+    setToggleValue('finish-toggle', 'finish-mode', urlState.finish);
+    document.getElementById('name-search').value = urlState.q;
     setToggleValue('list-toggle', 'list-mode', urlState.list);
+    setSelectValue('sort-mode', urlState.sort);
+    setSelectValue('group-mode', urlState.group);
+    setSelectValue('lang-mode', urlState.lang);
+
+    // A price in the URL wins over the one saved for this set/booster
+    if (urlState.cost) {
+      saveSealedPrice(initialSet.code, document.getElementById('booster-type').value, urlState.unit, urlState.cost);
+    }
+
+    // Leaderboard state
+    setToggleValue('rank-toggle', 'rank-mode', urlState.rank);
+    setToggleValue('lb-booster-toggle', 'lb-booster-type', urlState.lbtype);
+    document.getElementById('lb-box-price').value = urlState.box;
+
+    // Compare sides default to the current set's play and collector boosters
+    setCompareSide('a', urlState.a || initialSet.code + ':play');
+    setCompareSide('b', urlState.b || initialSet.code + ':collector');
+
+    // Show the requested view
+    setToggleValue('view-toggle', 'view-mode', urlState.view);
+    showView(urlState.view);
+    if (urlState.view === 'leaderboard') {
+      await loadLeaderboard();
+      return;
+    }
+    if (urlState.view === 'compare') {
+      await loadCompare();
+      return;
+    }
 
     // Load initial cards
     await loadCards();
@@ -813,6 +2388,103 @@ function handleSetSelect(set) {
   loadCards();
 }
 
+// ============ Offline ============
+
+// Sets pre-downloaded for offline use, stored in their own cache (see sw.js)
+const SAVED_SETS_KEY = 'offlineSets';
+const SAVED_CACHE = 'packcracker-saved';
+
+function getSavedSets() {
+  try {
+    return JSON.parse(localStorage.getItem(SAVED_SETS_KEY)) || [];
+  } catch (e) {
+    return [];
+  }
+}
+
+// Data files a set needs to work offline, in every cached language
+function getSetDataFiles(setCode) {
+  const codes = [setCode];
+  if (SETS_WITH_SPECIAL_GUESTS.has(setCode)) codes.push('spg');
+  if (SETS_WITH_BIG_SCORE.has(setCode)) codes.push('big');
+  const files = ['en', ...CACHED_LANGUAGES].flatMap(lang => codes.map(code => getSetDataPath(code, lang)));
+  return [...files, './data/history/' + setCode + '.json'];
+}
+
+async function saveSetOffline(setCode) {
+  const cache = await caches.open(SAVED_CACHE);
+  // History and other-language files are optional - a set without them still works offline
+  await Promise.all(getSetDataFiles(setCode).map(file => cache.add(file).catch(() => {})));
+}
+
+async function removeSetOffline(setCode) {
+  const cache = await caches.open(SAVED_CACHE);
+  const stillNeeded = new Set(getSavedSets().flatMap(getSetDataFiles));
+  await Promise.all(getSetDataFiles(setCode)
+    .filter(file => !stillNeeded.has(file))
+    .map(file => cache.delete(file)));
+}
+
+async function toggleSetOffline(setCode) {
+  const saved = getSavedSets();
+  if (saved.includes(setCode)) {
+    localStorage.setItem(SAVED_SETS_KEY, JSON.stringify(saved.filter(code => code !== setCode)));
+    await removeSetOffline(setCode);
+  } else {
+    localStorage.setItem(SAVED_SETS_KEY, JSON.stringify([...saved, setCode]));
+    await saveSetOffline(setCode);
+  }
+}
+
+function renderOfflineLink() {
+  if (!('caches' in window)) return '';
+  const setCode = document.getElementById('set-select').value;
+  const saved = getSavedSets().includes(setCode);
+  return '<button type="button" class="offline-link' + (saved ? ' saved' : '') + '">' +
+    (saved ? 'saved offline ✓' : 'save offline') + '</button>';
+}
+
+// "prices as of" from the cache job's manifest, flagged when we're offline
+async function renderPricesUpdated() {
+  const el = document.getElementById('prices-updated');
+  try {
+    const response = await fetch('./data/manifest.json');
+    const manifest = await response.json();
+    const updated = new Date(manifest.updated);
+    el.textContent = 'prices as of ' + updated.toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' }) +
+      (navigator.onLine ? '' : ' (offline)');
+    el.classList.remove('hidden');
+  } catch (e) {
+    el.classList.add('hidden');
+  }
+}
+
+function setupOffline() {
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register('./sw.js').catch(error => {
+      console.warn('Service worker registration failed:', error);
+    });
+  }
+
+  renderPricesUpdated();
+  window.addEventListener('online', renderPricesUpdated);
+  window.addEventListener('offline', renderPricesUpdated);
+
+  // The save offline link lives in the pack EV line, which is re-rendered on every load
+  document.getElementById('pack-ev').addEventListener('click', async (e) => {
+    const link = e.target.closest('.offline-link');
+    if (!link) return;
+    link.disabled = true;
+    await toggleSetOffline(document.getElementById('set-select').value);
+    link.outerHTML = renderOfflineLink();
+  });
+
+  // Refresh saved sets in the background so their prices don't go stale
+  if ('caches' in window && navigator.onLine) {
+    getSavedSets().forEach(setCode => saveSetOffline(setCode));
+  }
+}
+
 // ============ Theme Toggle ============
 
 function initTheme() {
@@ -0,0 +1,556 @@
+// Pack Cracker - card pricing and pack EV
+// Pure functions (no DOM), shared by app.js, scripts/cache-cards.js and tests/unit
+
+// Play Booster pull rates for EV calculation
+// Source: https://magic.wizards.com/en/news/feature/play-booster-contents
+const RARE_RATE = 0.875;       // ~87.5% chance of rare in rare/mythic slot
+const MYTHIC_RATE = 0.125;     // ~12.5% chance of mythic (roughly 7:1 ratio)
+const FOIL_RARE_RATE = 0.10;   // ~10% chance of foil rare across pack
+const FOIL_MYTHIC_RATE = 0.02; // ~2% chance of foil mythic across pack
+
+// Convert cached card format back to Scryfall-like format
+export function convertCachedCard(card) {
+  return {
+    id: card.id,
+    name: card.name,
+    set: card.set,
+    rarity: card.rarity,
+    collector_number: card.collector_number,
+    booster: card.booster,
+    image_uris: { normal: card.image },
+    scryfall_uri: card.uri,
+    card_faces: card.faces?.map(image => ({ image_uris: { normal: image } })),
+    tcgplayer_id: card.tcgplayer_id,
+    frame: card.frame,
+    finishes: card.finishes.map(f => f.type),
+    prices: getCachedPrices(card.finishes),
+    frame_effects: [
+      card.showcase && 'showcase',
+      card.extendedart && 'extendedart',
+      card.etched && 'etched',
+      card.inverted && 'inverted',
+    ].filter(Boolean),
+    promo_types: card.promo_types || [],
+    border_color: card.borderless ? 'borderless' : 'black',
+    full_art: card.fullart || false,
+    promo: card.promo || false,
+  };
+}
+
+// ============ Markets ============
+
+// Price markets Scryfall reports: TCGplayer (usd), Cardmarket (eur) and MTGO (tix).
+// `prices` is the Scryfall price key per finish; MTGO has a single price per card.
+export const MARKETS = {
+  usd: { name: 'tcgplayer', symbol: '$', prices: { nonfoil: 'usd', foil: 'usd_foil', etched: 'usd_etched' } },
+  eur: { name: 'cardmarket', symbol: '€', prices: { nonfoil: 'eur', foil: 'eur_foil', etched: 'eur_etched' } },
+  tix: { name: 'mtgo', symbol: 'tix', prices: { nonfoil: 'tix' } },
+};
+
+export function formatPrice(value, market = 'usd', digits = 2) {
+  const amount = value.toFixed(digits);
+  if (market === 'eur') return '€' + amount;
+  if (market === 'tix') return amount + ' tix';
+  return '$' + amount;
+}
+
+// Cached finishes ({ type, price, eur, tix }, price being USD) as Scryfall's prices object
+function getCachedPrices(finishes) {
+  const prices = {};
+  for (const [market, { prices: keys }] of Object.entries(MARKETS)) {
+    for (const [type, key] of Object.entries(keys)) {
+      const finish = finishes.find(f => f.type === type);
+      const price = market === 'usd' ? finish?.price : finish?.[market];
+      prices[key] = price?.toString() || null;
+    }
+  }
+  return prices;
+}
+
+// ============ Cache File Format ============
+
+// data/<set>.json stores each card once as a row of CACHE_COLUMNS; `play`,
+// `collector` and, for set booster era sets, `set_booster` are row indexes.
+// Image and Scryfall URLs aren't stored - they're rebuilt from the id, set and
+// collector number (and `lang`, which files for non-English cards in
+// data/<lang>/ have). Files without `format` are the older layout with full
+// card objects in play/collector.
+export const CACHE_FORMAT = 2;
+
+const CACHE_COLUMNS = [
+  'id', 'name', 'collector_number', 'rarity', 'booster', 'tcgplayer_id', 'frame',
+  'nonfoil', 'foil', 'etched', 'flags', 'promo_types', 'faces',
+  'eur_nonfoil', 'eur_foil', 'eur_etched', 'tix',
+];
+const CACHE_PRICE_COLUMNS = ['nonfoil', 'foil', 'etched'];
+// Other markets' columns per finish and the key they have on a cached finish.
+// Files from before these columns just have no EUR or tix prices.
+const CACHE_MARKET_COLUMNS = [
+  { column: 'eur_nonfoil', type: 'nonfoil', market: 'eur' },
+  { column: 'eur_foil', type: 'foil', market: 'eur' },
+  { column: 'eur_etched', type: 'etched', market: 'eur' },
+  { column: 'tix', type: 'nonfoil', market: 'tix' },
+];
+const CACHE_FLAGS = ['showcase', 'extendedart', 'inverted', 'borderless', 'fullart', 'etched', 'promo'];
+
+function getScryfallImage(id, face = 'front') {
+  return 'https://cards.scryfall.io/normal/' + face + '/' + id[0] + '/' + id[1] + '/' + id + '.jpg';
+}
+
+function encodeCachedCard(card) {
+  const values = {
+    ...card,
+    flags: CACHE_FLAGS.filter(flag => card[flag]),
+    faces: card.faces ? card.faces.length : 1,
+  };
+  for (const type of CACHE_PRICE_COLUMNS) {
+    values[type] = card.finishes.find(f => f.type === type)?.price ?? null;
+  }
+  for (const { column, type, market } of CACHE_MARKET_COLUMNS) {
+    values[column] = card.finishes.find(f => f.type === type)?.[market] ?? null;
+  }
+  return CACHE_COLUMNS.map(column => values[column] ?? null);
+}
+
+function decodeCachedCard(row, columns, setCode, lang) {
+  const values = Object.fromEntries(columns.map((column, i) => [column, row[i]]));
+  const card = {
+    id: values.id,
+    name: values.name,
+    set: setCode,
+    collector_number: values.collector_number,
+    rarity: values.rarity,
+    booster: values.booster,
+    image: getScryfallImage(values.id),
+    uri: 'https://scryfall.com/card/' + setCode + '/' + encodeURIComponent(values.collector_number) + (lang ? '/' + lang : ''),
+    tcgplayer_id: values.tcgplayer_id ?? undefined,
+    frame: values.frame ?? undefined,
+    finishes: CACHE_PRICE_COLUMNS
+      .map(type => ({ type, price: values[type] ?? null }))
+      .filter(finish => {
+        for (const { column, type, market } of CACHE_MARKET_COLUMNS) {
+          if (type === finish.type && values[column] != null) finish[market] = values[column];
+        }
+        return finish.price !== null || finish.eur !== undefined || finish.tix !== undefined;
+      }),
+    promo_types: values.promo_types || [],
+  };
+  for (const flag of CACHE_FLAGS) card[flag] = values.flags.includes(flag);
+  if (values.faces > 1) card.faces = [getScryfallImage(values.id), getScryfallImage(values.id, 'back')];
+  return card;
+}
+
+// Pack the cache script's per-card objects into the compact file layout
+export function encodeCacheData(cacheData) {
+  const { play, set_booster: setBooster, collector, ...rest } = cacheData;
+  const rows = [];
+  const rowById = new Map();
+  const toIndexes = cards => cards.map(card => {
+    if (!rowById.has(card.id)) {
+      rowById.set(card.id, rows.length);
+      rows.push(encodeCachedCard(card));
+    }
+    return rowById.get(card.id);
+  });
+
+  return {
+    ...rest,
+    format: CACHE_FORMAT,
+    play: toIndexes(play),
+    ...(setBooster && { set_booster: toIndexes(setBooster) }),
+    collector: toIndexes(collector),
+    columns: CACHE_COLUMNS,
+    cards: rows,
+  };
+}
+
+// Cached cards for one booster type, in the per-card shape the cache script builds
+export function getCachedCardList(data, boosterType) {
+  if (!data?.[boosterType]) return [];
+  if (!data.format) return data[boosterType];
+  return data[boosterType].map(index => decodeCachedCard(data.cards[index], data.columns, data.set, data.lang));
+}
+
+// Cached cards for one booster type as Scryfall-like cards
+export function getCachedCards(data, boosterType) {
+  return getCachedCardList(data, boosterType).map(convertCachedCard);
+}
+
+export function getCardTreatment(card, isFoil) {
+  const treatments = [];
+
+  if (card.frame_effects?.includes('showcase')) treatments.push('Showcase');
+  if (card.frame_effects?.includes('extendedart')) treatments.push('Extended Art');
+  if (card.border_color === 'borderless') treatments.push('Borderless');
+  if (card.promo) treatments.push('Promo');
+  if (card.full_art) treatments.push('Full Art');
+  if (card.frame_effects?.includes('etched')) treatments.push('Etched');
+  if (isFoil) treatments.push('Foil');
+
+  // Mark list/special guests cards
+  if (card.set === 'plst') treatments.push('The List');
+  if (card.set === 'spg') treatments.push('Special Guest');
+
+  return treatments.length > 0 ? treatments.join(', ') : 'Regular';
+}
+
+// Finish type configuration for expansion
+export const FINISH_TYPES = [
+  { key: 'nonfoil', isFoil: false },
+  { key: 'foil', isFoil: true },
+  { key: 'etched', isFoil: false, transformTreatment: t => t.replace('Regular', 'Etched') || 'Etched' },
+];
+
+// One entry per priced finish of each card, priced in the given market
+export function expandCardFinishes(cards, market = 'usd') {
+  const expanded = [];
+  const priceKeys = MARKETS[market].prices;
+
+  for (const card of cards) {
+    const prices = card.prices || {};
+    const finishes = card.finishes || [];
+
+    for (const finish of FINISH_TYPES) {
+      const priceKey = priceKeys[finish.key];
+      if (finishes.includes(finish.key) && prices[priceKey]) {
+        const price = parseFloat(prices[priceKey]);
+        if (price > 0) {
+          let treatment = getCardTreatment(card, finish.isFoil);
+          if (finish.transformTreatment) treatment = finish.transformTreatment(treatment);
+          expanded.push({ ...card, price, isFoil: finish.isFoil, treatment, finishKey: finish.key });
+        }
+      }
+    }
+  }
+
+  return expanded;
+}
+
+// Treatment filter keys a card matches
+export const TREATMENT_FILTERS = ['showcase', 'borderless', 'extendedart', 'etched', 'fullart', 'retro'];
+
+export function getCardTreatments(card) {
+  const frameEffects = card.frame_effects || [];
+  return [
+    frameEffects.includes('showcase') && 'showcase',
+    card.border_color === 'borderless' && 'borderless',
+    frameEffects.includes('extendedart') && 'extendedart',
+    (frameEffects.includes('etched') || card.finishes?.includes('etched')) && 'etched',
+    card.full_art && 'fullart',
+    (card.frame === '1993' || card.frame === '1997') && 'retro',
+  ].filter(Boolean);
+}
+
+// One entry per card with a finish passing the filters, merging its finishes into
+// finishPrices (highest first) and sorted by the card's most valuable finish.
+// filters: { minPrice, maxPrice (null = no cap), rarities (null = all), excludeFoils,
+//            finish ('all' or a finish key), treatments ([] = any), search (name substring) }
+export function filterAndSortCards(cards, filters = {}) {
+  const {
+    minPrice = 0,
+    maxPrice = null,
+    rarities = null,
+    excludeFoils = false,
+    finish = 'all',
+    treatments = [],
+    search = '',
+    market = 'usd',
+  } = filters;
+  const term = search.trim().toLowerCase();
+  const expanded = expandCardFinishes(cards, market);
+
+  // Filter first
+  const filtered = expanded
+    .filter(card => card.price >= minPrice && (maxPrice === null || card.price <= maxPrice))
+    .filter(card => !rarities || rarities.includes(card.rarity?.toLowerCase()))
+    .filter(card => !excludeFoils || !card.isFoil)
+    .filter(card => finish === 'all' || card.finishKey === finish)
+    .filter(card => treatments.length === 0 || getCardTreatments(card).some(t => treatments.includes(t)))
+    .filter(card => !term || card.name.toLowerCase().includes(term));
+
+  // Group by card ID to merge foil/nonfoil
+  const grouped = new Map();
+  for (const card of filtered) {
+    if (!grouped.has(card.id)) {
+      grouped.set(card.id, {
+        ...card,
+        finishPrices: [],
+        maxPrice: 0
+      });
+    }
+    const group = grouped.get(card.id);
+    group.finishPrices.push({
+      type: card.isFoil ? 'foil' : (card.finishKey === 'etched' ? 'etched' : 'regular'),
+      price: card.price
+    });
+    if (card.price > group.maxPrice) {
+      group.maxPrice = card.price;
+      // Use the highest-priced version's treatment as the base
+      group.treatment = card.treatment;
+      group.isFoil = card.isFoil;
+    }
+  }
+
+  // Sort finish prices within each card (highest first)
+  for (const card of grouped.values()) {
+    card.finishPrices.sort((a, b) => b.price - a.price);
+  }
+
+  // Sort by max price
+  return Array.from(grouped.values()).sort((a, b) => b.maxPrice - a.maxPrice);
+}
+
+// Check if collector number is in a range like "262-281" or "342"
+export function isInRange(cn, rangeStr) {
+  const cnNum = parseInt(cn, 10);
+  if (isNaN(cnNum)) return false;
+  if (rangeStr.includes('-')) {
+    const [start, end] = rangeStr.split('-').map(n => parseInt(n, 10));
+    return cnNum >= start && cnNum <= end;
+  }
+  return cnNum === parseInt(rangeStr, 10);
+}
+
+// ============ Lottery Cards ============
+
+// Serialized printings, opened once in hundreds of boxes: the promo type Scryfall
+// tags them with, and booster-data slots that hold only them. Other collector
+// treatments (headliners, double rainbow foils) are regular collector slot cards.
+export const LOTTERY_PROMOS = ['serialized'];
+const LOTTERY_SLOT_PATTERN = /serial/i;
+
+export function isLotteryCard(card, slots) {
+  if ((card.promo_types || []).some(promo => LOTTERY_PROMOS.includes(promo))) return true;
+  return !!slots?.some(slot => LOTTERY_SLOT_PATTERN.test(slot.name) && card.set === slot.set &&
+    Object.values(slot.pool).some(ranges => ranges.some(range => isInRange(card.collector_number, range))));
+}
+
+// Build a pack model shared by EV and the simulator:
+// [{ name, count, outcomes: [{ rate, cards, poolSize }] }]
+// Each slot yields `count` cards; an outcome is picked with probability `rate`,
+// then one of `poolSize` equally likely cards. Pool members we don't have
+// prices for (bulk) are worth $0, so `cards` can be shorter than `poolSize`.
+// Set boosters without booster data get an empty model (no EV): their wildcard,
+// foil and list slots vary too much between sets for fixed rates to stand in.
+export function buildPackModel(cards, slots, counts, market = 'usd', boosterType = 'play') {
+  if (!slots && boosterType === 'set_booster') return [];
+
+  // Expand all finishes first (we need all versions for EV calculation)
+  const expanded = expandCardFinishes(cards, market);
+  return slots ? buildSlotModel(expanded, slots) : buildRareSlotModel(expanded, counts);
+}
+
+// Slots from booster-data layouts: one outcome per finish in the slot's pool
+function buildSlotModel(expanded, slots) {
+  return slots.map(slot => {
+    const outcomes = [];
+
+    for (const [finish, ranges] of Object.entries(slot.pool)) {
+      const rate = slot.rates[finish];
+      if (!slot.size[finish] || !rate) continue;
+
+      const poolCards = expanded
+        .filter(c => c.finishKey === finish && c.set === slot.set)
+        .filter(c => ranges.some(range => isInRange(c.collector_number, range)));
+
+      outcomes.push({ rate, cards: poolCards, poolSize: Math.max(slot.size[finish], poolCards.length) });
+    }
+
+    return { name: slot.name, count: slot.count, outcomes };
+  });
+}
+
+// Fallback when there's no booster data: rare/mythic slot plus a flat foil rate.
+// `counts` (printings per rarity, bulk included) sets the pool size; without it
+// only the cards we know about are counted, which overstates EV. Lottery cards are
+// left out - without their odds they'd count as an ordinary mythic.
+function buildRareSlotModel(expanded, counts) {
+  const rarityOutcome = (rarity, isFoil, rate) => {
+    const poolCards = expanded.filter(c => c.rarity === rarity && c.isFoil === isFoil && !isLotteryCard(c));
+    const poolSize = Math.max(counts?.[rarity] || 0, new Set(poolCards.map(c => c.id)).size) || 1;
+    return { rate, cards: poolCards, poolSize };
+  };
+
+  return [
+    {
+      name: 'rare/mythic',
+      count: 1,
+      outcomes: [rarityOutcome('rare', false, RARE_RATE), rarityOutcome('mythic', false, MYTHIC_RATE)],
+    },
+    {
+      name: 'foil',
+      count: 1,
+      outcomes: [rarityOutcome('rare', true, FOIL_RARE_RATE), rarityOutcome('mythic', true, FOIL_MYTHIC_RATE)],
+    },
+  ];
+}
+
+// Calculate expected value of opening a pack
+// Returns { total, slots: [{ name, ev }] } so the breakdown can be shown next to the total
+export function calculatePackEV(cards, slots, counts, market = 'usd', boosterType = 'play') {
+  const model = buildPackModel(cards, slots, counts, market, boosterType);
+
+  const breakdown = model.map(slot => {
+    let ev = 0;
+    for (const outcome of slot.outcomes) {
+      const priceSum = outcome.cards.reduce((sum, c) => sum + c.price, 0);
+      ev += slot.count * outcome.rate * (priceSum / outcome.poolSize);
+    }
+    return { name: slot.name, ev };
+  });
+  const total = breakdown.reduce((sum, slot) => sum + slot.ev, 0);
+
+  return { total, slots: breakdown };
+}
+
+// Each card's share of pack EV, summed over every slot and finish it can appear in.
+// Returns a Map of card id -> EV contribution in dollars.
+export function getCardEVContributions(model) {
+  const contributions = new Map();
+
+  for (const slot of model) {
+    for (const outcome of slot.outcomes) {
+      for (const card of outcome.cards) {
+        const ev = slot.count * outcome.rate * (card.price / outcome.poolSize);
+        contributions.set(card.id, (contributions.get(card.id) || 0) + ev);
+      }
+    }
+  }
+
+  return contributions;
+}
+
+// Chance of opening at least one copy of a card in a pack, overall and per finish.
+// Returns { pack, finishes: { finish: probability } }
+export function getCardPullOdds(model, cardId) {
+  let missPack = 1;
+  const missByFinish = {};
+
+  for (const slot of model) {
+    let slotChance = 0;
+    for (const outcome of slot.outcomes) {
+      for (const card of outcome.cards) {
+        if (card.id !== cardId) continue;
+        const chance = outcome.rate / outcome.poolSize;
+        slotChance += chance;
+        missByFinish[card.finishKey] = (missByFinish[card.finishKey] ?? 1) * (1 - chance) ** slot.count;
+      }
+    }
+    missPack *= (1 - Math.min(slotChance, 1)) ** slot.count;
+  }
+
+  const finishes = {};
+  for (const [finish, miss] of Object.entries(missByFinish)) finishes[finish] = 1 - miss;
+  return { pack: 1 - missPack, finishes };
+}
+
+// Attach each grouped card's chance of being opened in a pack (any finish) and its
+// share of pack EV, for display and for sorting by odds or EV
+export function addCardOdds(cards, model) {
+  const contributions = getCardEVContributions(model);
+  return cards.map(card => ({
+    ...card,
+    pullOdds: getCardPullOdds(model, card.id).pack,
+    ev: contributions.get(card.id) || 0,
+  }));
+}
+
+// ============ Jumpstart Themes ============
+
+// Value of each Jumpstart theme: all of its guaranteed cards plus one of its rare slot
+// options at random. Theme decks are nonfoil, so a printing counts at its nonfoil price
+// (or its only priced finish), and printings we don't have prices for are bulk at $0.
+// Returns [{ name, ev, cards, rares, bulk, rareCount }], most valuable first, with
+// `cards` and `rares` the priced printings, most valuable first.
+export function calculateThemeValues(cards, themes, market = 'usd') {
+  const byId = new Map();
+  for (const card of expandCardFinishes(cards, market)) {
+    if (!byId.has(card.id) || card.finishKey === 'nonfoil') byId.set(card.id, card);
+  }
+  const priced = Array.from(byId.values());
+  const inRanges = ranges => priced
+    .filter(card => ranges.some(range => isInRange(card.collector_number, range)))
+    .sort((a, b) => b.price - a.price);
+  const sum = list => list.reduce((total, card) => total + card.price, 0);
+
+  return themes.map(theme => {
+    const themeCards = inRanges(theme.cards);
+    const rares = inRanges(theme.rares);
+    const rareCount = Math.max(theme.size.rares, rares.length);
+    return {
+      name: theme.name,
+      ev: sum(themeCards) + (rareCount ? sum(rares) / rareCount : 0),
+      cards: themeCards,
+      rares,
+      bulk: Math.max(theme.size.cards - themeCards.length, 0),
+      rareCount,
+    };
+  }).sort((a, b) => b.ev - a.ev);
+}
+
+export const RARITY_ORDER = ['special', 'bonus', 'mythic', 'rare', 'uncommon', 'common'];
+
+function getRarityRank(rarity) {
+  const rank = RARITY_ORDER.indexOf(rarity?.toLowerCase());
+  return rank === -1 ? RARITY_ORDER.length : rank;
+}
+
+// Treatment shown on a grid card, without foil (finishes are listed with prices); '' when regular
+export function getTreatmentLabel(card) {
+  const treatment = card.treatment.toLowerCase().replace(/, ?foil$/i, '').replace(/^foil, ?/i, '').replace(/^foil$/i, '');
+  return treatment === 'regular' ? '' : treatment;
+}
+
+// Which sheet a card was opened from: the set itself or one of the extras merged into it
+export function getCardSource(card) {
+  if (card._fromRetroSheet) return 'retro frame';
+  if (card._fromBonusSheet) return 'bonus sheet';
+  if (card.set === 'spg') return 'special guests';
+  if (card.set === 'big') return 'the big score';
+  if (card.set === 'plst') return 'the list';
+  return 'main set';
+}
+
+// Ties fall back to price so equal cards still list the valuable ones first.
+// 'change' expects priceChange (% over the last week) to be attached; cards without history go last.
+const CARD_SORTS = {
+  price: (a, b) => b.maxPrice - a.maxPrice,
+  odds: (a, b) => b.pullOdds - a.pullOdds || b.maxPrice - a.maxPrice,
+  ev: (a, b) => b.ev - a.ev || b.maxPrice - a.maxPrice,
+  name: (a, b) => a.name.localeCompare(b.name),
+  number: (a, b) => a.collector_number.localeCompare(b.collector_number, undefined, { numeric: true }),
+  rarity: (a, b) => getRarityRank(a.rarity) - getRarityRank(b.rarity) || b.maxPrice - a.maxPrice,
+  change: (a, b) => (b.priceChange ?? -Infinity) - (a.priceChange ?? -Infinity) || b.maxPrice - a.maxPrice,
+};
+
+export function sortCards(cards, sortBy) {
+  return [...cards].sort(CARD_SORTS[sortBy] || CARD_SORTS.price);
+}
+
+const CARD_GROUPS = {
+  rarity: card => card.rarity?.toLowerCase(),
+  treatment: card => getTreatmentLabel(card) || 'regular',
+  finish: card => card.finishPrices[0].type,
+  source: getCardSource,
+};
+
+// Split sorted cards into sections with subtotals: [{ name, cards, total, ev }].
+// Cards keep their sort order within a group; groups appear in order of their first card,
+// except rarity which always runs mythic -> common. 'none' gives one unnamed group.
+export function groupCards(cards, groupBy) {
+  const getKey = CARD_GROUPS[groupBy];
+  const groups = new Map();
+
+  for (const card of cards) {
+    const name = getKey ? getKey(card) : null;
+    if (!groups.has(name)) groups.set(name, { name, cards: [], total: 0, ev: 0 });
+    const group = groups.get(name);
+    group.cards.push(card);
+    group.total += card.maxPrice;
+    group.ev += card.ev || 0;
+  }
+
+  const result = Array.from(groups.values());
+  if (groupBy === 'rarity') result.sort((a, b) => getRarityRank(a.name) - getRarityRank(b.name));
+  return result;
+}
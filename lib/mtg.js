@@ -0,0 +1,225 @@
+// Pack Cracker - MTG set rules and shared helpers
+// Vendored from the bensonperry.com shared module so the site and the cache script
+// read set rules from one place. Bump SET_RULES_VERSION whenever a rule changes.
+
+export const SET_RULES_VERSION = 2;
+
+// ============ Booster Eras ============
+
+export const COLLECTOR_BOOSTER_START = '2019-10-04'; // Throne of Eldraine
+export const PLAY_BOOSTER_START = '2024-02-09';      // Murders at Karlov Manor
+export const FOIL_START = '1999-02-15';              // Urza's Legacy
+
+// ============ Set Classification ============
+
+// Jumpstart sets have their own booster type (no play/collector distinction)
+export const JUMPSTART_SETS = new Set(['jmp', 'j22', 'j25']);
+
+// Sets only sold as draft-style boosters (masters sets, mystery booster, etc.)
+export const DRAFT_ONLY_SETS = new Set([
+  'mb2', 'clu', 'dbl', 'tsr', '2xm',
+  'uma', 'a25', 'ima', 'mm3', 'ema', 'mm2', 'mma', 'cn2', 'cns',
+]);
+
+// Special Guests (spg) collector number ranges per set
+export const SPECIAL_GUESTS_RANGES = {
+  lci: [1, 18],
+  mkm: [19, 28],
+  otj: [29, 38],
+  mh3: [39, 53],
+  blb: [54, 63],
+  dsk: [64, 73],
+  fdn: [74, 83],
+  dft: [84, 93],
+  tdm: [94, 103],
+};
+
+export const SETS_WITH_SPECIAL_GUESTS = new Set(Object.keys(SPECIAL_GUESTS_RANGES));
+
+// Outlaws of Thunder Junction also has The Big Score (big) in its boosters
+export const SETS_WITH_BIG_SCORE = new Set(['otj']);
+
+// Bonus sheets printed as their own set but opened in this set's boosters
+export const BONUS_SHEET_SETS = {
+  tla: 'tle', // Avatar: The Last Airbender Eternal (source material)
+  spm: 'mar', // Marvel Universe (source material)
+  eoe: 'eos', // Stellar Sights
+  fin: 'fca', // Final Fantasy: Through the Ages
+  woe: 'wot', // Enchanting Tales
+  mom: 'mul', // Multiverse Legends
+  bro: 'brr', // Retro Artifacts
+  stx: 'sta', // Mystical Archive
+};
+
+// Sets where retro frame cards appear in Play Boosters (not collector-exclusive)
+export const SETS_WITH_RETRO_IN_BOOSTERS = new Set(['mh3']);
+
+// Treatments only found in collector boosters
+export const COLLECTOR_EXCLUSIVE_PROMOS = [
+  'fracturefoil', 'texturedfoil', 'ripplefoil',
+  'halofoil', 'confettifoil', 'galaxyfoil', 'surgefoil',
+  'raisedfoil', 'headliner',
+];
+export const COLLECTOR_EXCLUSIVE_FRAMES = ['inverted', 'extendedart'];
+
+// Sets from the set booster era (Throne of Eldraine until play boosters) were sold as
+// draft, set and collector boosters, each with its own cards
+export function hasSetBoosters(setCode, releaseDate) {
+  return releaseDate >= COLLECTOR_BOOSTER_START && releaseDate < PLAY_BOOSTER_START &&
+    !JUMPSTART_SETS.has(setCode) && !DRAFT_ONLY_SETS.has(setCode);
+}
+
+// ============ Languages ============
+
+// Scryfall language codes for the languages boosters are printed in, English first
+export const LANGUAGES = {
+  en: 'english',
+  ja: 'japanese',
+  ko: 'korean',
+  zhs: 'chinese (simplified)',
+  zht: 'chinese (traditional)',
+  de: 'german',
+  fr: 'french',
+  it: 'italian',
+  es: 'spanish',
+  pt: 'portuguese',
+  ru: 'russian',
+};
+
+// Languages cached alongside English (in data/<lang>/); the rest are fetched live
+export const CACHED_LANGUAGES = ['ja'];
+
+// ============ Fetch Helpers ============
+
+export const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Fetch JSON, backing off on rate limits and transient failures.
+// Non-OK responses throw Error('HTTP <status>') so callers can treat 404 as "no results".
+export async function fetchWithRetry(url, retries = 3) {
+  for (let i = 0; i < retries; i++) {
+    try {
+      const response = await fetch(url);
+      if (response.status === 429) {
+        console.log('  Rate limited, waiting 2s...');
+        await delay(2000);
+        continue;
+      }
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      return await response.json();
+    } catch (error) {
+      if (i === retries - 1) throw error;
+      await delay(500 * (i + 1));
+    }
+  }
+}
+
+// ============ Sets ============
+
+// Sets list maintained by the cache workflow, newest first
+export async function fetchSets() {
+  const response = await fetch(new URL('../sets.json', import.meta.url));
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  return response.json();
+}
+
+// Type-to-search set picker. Matches on name or set code; prefix matches first.
+export function createSetAutocomplete({ inputEl, dropdownEl, hiddenEl, sets, onSelect }) {
+  let matches = [];
+  let highlighted = -1;
+  let selectedSet = null;
+
+  function findMatches(query) {
+    const term = query.trim().toLowerCase();
+    if (!term) return sets;
+    const prefix = [];
+    const contains = [];
+    for (const set of sets) {
+      const name = set.name.toLowerCase();
+      if (set.code === term || name.startsWith(term)) prefix.push(set);
+      else if (name.includes(term) || set.code.includes(term)) contains.push(set);
+    }
+    return [...prefix, ...contains];
+  }
+
+  function render() {
+    if (matches.length === 0) {
+      dropdownEl.innerHTML = '<div class="option empty">no matching sets</div>';
+    } else {
+      dropdownEl.innerHTML = matches.map((set, i) =>
+        '<div class="option' + (i === highlighted ? ' highlighted' : '') + '" data-index="' + i + '">' +
+          set.name.toLowerCase() + '<span class="year">' + set.released.slice(0, 4) + '</span>' +
+        '</div>'
+      ).join('');
+    }
+    dropdownEl.classList.remove('hidden');
+  }
+
+  function close() {
+    dropdownEl.classList.add('hidden');
+    highlighted = -1;
+  }
+
+  function select(set) {
+    selectedSet = set;
+    inputEl.value = set.name.toLowerCase();
+    hiddenEl.value = set.code;
+    close();
+    inputEl.blur();
+    onSelect(set);
+  }
+
+  inputEl.addEventListener('focus', () => {
+    inputEl.select();
+    matches = sets;
+    highlighted = -1;
+    render();
+  });
+
+  inputEl.addEventListener('input', () => {
+    matches = findMatches(inputEl.value);
+    highlighted = matches.length > 0 ? 0 : -1;
+    render();
+  });
+
+  inputEl.addEventListener('keydown', (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (matches.length === 0) return;
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      highlighted = (highlighted + step + matches.length) % matches.length;
+      render();
+      dropdownEl.querySelector('.highlighted')?.scrollIntoView({ block: 'nearest' });
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (matches[highlighted]) select(matches[highlighted]);
+    } else if (e.key === 'Escape') {
+      close();
+      inputEl.blur();
+    }
+  });
+
+  // mousedown fires before blur, so the click isn't lost when the input loses focus
+  dropdownEl.addEventListener('mousedown', (e) => {
+    const option = e.target.closest('.option[data-index]');
+    if (!option) return;
+    e.preventDefault();
+    select(matches[parseInt(option.dataset.index, 10)]);
+  });
+
+  inputEl.addEventListener('blur', () => {
+    close();
+    // Put back the current set's name if the search was abandoned
+    if (selectedSet) inputEl.value = selectedSet.name.toLowerCase();
+  });
+
+  return {
+    // Select a set without firing onSelect (initial load, links from other views)
+    setInitialSet(set) {
+      selectedSet = set;
+      inputEl.value = set.name.toLowerCase();
+      hiddenEl.value = set.code;
+    },
+  };
+}
@@ -2,11 +2,15 @@ const { defineConfig } = require('@playwright/test');
 
 module.exports = defineConfig({
   testDir: './tests',
+  // Node unit tests, run with `npm run test:unit`
+  testIgnore: '**/unit/**',
   timeout: 30000,
   retries: 0,
   use: {
     baseURL: 'http://localhost:3000',
     headless: true,
+    // The service worker would serve cached data around the fixture routes
+    serviceWorkers: 'block',
   },
   webServer: {
     command: 'python3 -m http.server 3000',
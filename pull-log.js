@@ -0,0 +1,103 @@
+// Pack Cracker - pull log storage (IndexedDB) and export
+// A session is one sitting of opening product for a set/booster type, priced in one market:
+// { id, set, booster, market, created, packs, cost, pulls: [{ id, name, collector_number, rarity, finish, price, at }] }
+// Sessions saved before markets existed have no `market` and are TCGplayer (usd).
+
+const DB_NAME = 'packcracker';
+const DB_VERSION = 1;
+const SESSION_STORE = 'sessions';
+
+let dbPromise = null;
+
+function openDB() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(SESSION_STORE, { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call retry if opening failed (e.g. private browsing)
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+// Run one request against the sessions store, resolving once the transaction commits
+async function runRequest(mode, makeRequest) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(SESSION_STORE, mode);
+    const request = makeRequest(tx.objectStore(SESSION_STORE));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+export async function getAllSessions() {
+  const sessions = await runRequest('readonly', store => store.getAll());
+  return sessions.sort((a, b) => b.created.localeCompare(a.created));
+}
+
+export function saveSession(session) {
+  return runRequest('readwrite', store => store.put(session));
+}
+
+export function deleteSession(id) {
+  return runRequest('readwrite', store => store.delete(id));
+}
+
+export function createSession(setCode, boosterType, market = 'usd') {
+  return {
+    id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+    set: setCode,
+    booster: boosterType,
+    market,
+    created: new Date().toISOString(),
+    packs: 0,
+    cost: 0,
+    pulls: [],
+  };
+}
+
+export function getSessionMarket(session) {
+  return session.market || 'usd';
+}
+
+// Pulled value vs. what was paid vs. what the packs were expected to be worth
+export function getSessionTotals(session, packEV) {
+  const value = session.pulls.reduce((sum, pull) => sum + pull.price, 0);
+  return {
+    value,
+    cost: session.cost,
+    expected: session.packs * packEV,
+    net: value - session.cost,
+  };
+}
+
+const CSV_COLUMNS = ['session', 'set', 'booster', 'pulled_at', 'card', 'collector_number', 'rarity', 'finish', 'price', 'market'];
+
+function escapeCSV(value) {
+  const str = String(value ?? '');
+  return /[",\n]/.test(str) ? '"' + str.replace(/"/g, '""') + '"' : str;
+}
+
+// One row per pull across all sessions
+export function sessionsToCSV(sessions) {
+  const rows = [CSV_COLUMNS.join(',')];
+  for (const session of sessions) {
+    for (const pull of session.pulls) {
+      rows.push([
+        session.id, session.set, session.booster, pull.at, pull.name,
+        pull.collector_number, pull.rarity, pull.finish, pull.price.toFixed(2), getSessionMarket(session),
+      ].map(escapeCSV).join(','));
+    }
+  }
+  return rows.join('\n') + '\n';
+}
+
+export function sessionsToJSON(sessions) {
+  return JSON.stringify({ exported: new Date().toISOString(), sessions }, null, 2);
+}
@@ -6,48 +6,46 @@
  */
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
 
 const SCRYFALL_API = 'https://api.scryfall.com';
 const BOOSTER_DATA_URL = 'https://bensonperry.com/booster-data';
 const MIN_PRICE = 1; // Cache cards worth $1+
 const RATE_LIMIT_MS = 100; // Scryfall asks for 50-100ms between requests
-
-// Jumpstart sets have their own booster type (no play/collector distinction)
-const JUMPSTART_SETS = new Set(['jmp', 'j22', 'j25']);
-
-// Collector exclusives - fetched from shared config at runtime
-// Source of truth: https://bensonperry.com/shared/collector-exclusives.json
-let COLLECTOR_EXCLUSIVE_PROMOS = [];
-let COLLECTOR_EXCLUSIVE_FRAMES = [];
-
-// Booster data loaded from booster-data project
+const HISTORY_DAYS = 365; // Days of price history kept per card in data/history
+
+// Set rules and fetch helpers shared with the site - lib/mtg.js is an ES module,
+// so these are filled in by loadSetRules() before anything else runs
+let JUMPSTART_SETS;
+let COLLECTOR_EXCLUSIVE_PROMOS;
+let COLLECTOR_EXCLUSIVE_FRAMES;
+let CACHED_LANGUAGES;
+let hasSetBoosters;
+let delay;
+let fetchWithRetry;
+
+// Booster data loaded from booster-data project, preferring a local checkout
+// next to this repo (--booster-data=<dir> to point elsewhere)
+let boosterDataDir = path.join(__dirname, '..', '..', 'booster-data');
 let boosterIndex = {};
 let boosterFileCache = {};
 
-async function loadCollectorExclusives() {
-  try {
-    const response = await fetch('https://bensonperry.com/shared/collector-exclusives.json');
-    const data = await response.json();
-    COLLECTOR_EXCLUSIVE_PROMOS = data.promos;
-    COLLECTOR_EXCLUSIVE_FRAMES = data.frames;
-    console.log('Loaded collector exclusives from shared config');
-  } catch (error) {
-    // Fallback to hardcoded values if fetch fails
-    console.warn('Failed to fetch collector exclusives, using fallback values');
-    COLLECTOR_EXCLUSIVE_PROMOS = [
-      'fracturefoil', 'texturedfoil', 'ripplefoil',
-      'halofoil', 'confettifoil', 'galaxyfoil', 'surgefoil',
-      'raisedfoil', 'headliner'
-    ];
-    COLLECTOR_EXCLUSIVE_FRAMES = ['inverted', 'extendedart'];
-  }
+async function loadSetRules() {
+  const mtg = await import('../lib/mtg.js');
+  ({ JUMPSTART_SETS, COLLECTOR_EXCLUSIVE_PROMOS, COLLECTOR_EXCLUSIVE_FRAMES, CACHED_LANGUAGES, hasSetBoosters, delay, fetchWithRetry } = mtg);
+  console.log(`Loaded set rules v${mtg.SET_RULES_VERSION}`);
 }
 
 // Load booster data index
 async function loadBoosterIndex() {
+  // Booster files loaded by an earlier run may come from another checkout
+  boosterFileCache = {};
+
   // Try local file first (for development), then remote
-  const localPath = path.join(__dirname, '..', '..', 'booster-data', 'index.json');
+  const localPath = path.join(boosterDataDir, 'index.json');
   try {
     if (fs.existsSync(localPath)) {
       boosterIndex = JSON.parse(fs.readFileSync(localPath, 'utf8'));
@@ -74,7 +72,7 @@ async function loadBoosterFile(setCode, boosterType) {
   if (boosterFileCache[key]) return boosterFileCache[key];
 
   // Try local file first
-  const localPath = path.join(__dirname, '..', '..', 'booster-data', 'boosters', `${key}.json`);
+  const localPath = path.join(boosterDataDir, 'boosters', `${key}.json`);
   try {
     if (fs.existsSync(localPath)) {
       boosterFileCache[key] = JSON.parse(fs.readFileSync(localPath, 'utf8'));
@@ -93,7 +91,7 @@ async function loadBoosterFile(setCode, boosterType) {
   return boosterFileCache[key];
 }
 
-// Get CN ranges from booster file for play boosters
+// Get CN ranges from booster file for play, draft or set boosters
 function getPlayBoosterRanges(boosterFile) {
   if (!boosterFile?.slots) return null;
   const ranges = [];
@@ -129,15 +127,96 @@ function isInRange(cn, rangeStr) {
   return cnNum === parseInt(rangeStr, 10);
 }
 
-// Check if card is in play booster based on booster data
-async function isInPlayBoosterByConfig(card, setCode) {
+// Count the collector numbers covered by a list of ranges like ["262-281", "342"]
+function countRangeSize(ranges) {
+  let size = 0;
+  for (const rangeStr of ranges) {
+    if (rangeStr.includes('-')) {
+      const [start, end] = rangeStr.split('-').map(n => parseInt(n, 10));
+      if (!isNaN(start) && !isNaN(end) && end >= start) size += end - start + 1;
+    } else if (!isNaN(parseInt(rangeStr, 10))) {
+      size += 1;
+    }
+  }
+  return size;
+}
+
+// Get the booster file type that backs a cached booster type
+function getBoosterFileType(setCode, boosterType) {
   const types = boosterIndex.boosters?.[setCode];
   if (!types) return null;
+  if (boosterType === 'collector') return types.includes('collector') ? 'collector' : null;
+  if (boosterType === 'set_booster') return types.includes('set') ? 'set' : null;
+  return types.includes('play') ? 'play' : types.includes('draft') ? 'draft' : null;
+}
+
+// Slot definitions for EV, trimmed to what the client needs:
+// cards per pack, chance of each finish, and the CN pool (with its size) per finish.
+// A slot with several finishes needs booster data's rate for each; without them the
+// layout is left out (null), so EV falls back to the rarity model rather than a guess.
+async function getBoosterSlots(setCode, boosterType) {
+  const fileType = getBoosterFileType(setCode, boosterType);
+  if (!fileType) return null;
+
+  const boosterFile = await loadBoosterFile(setCode, fileType);
+  if (!boosterFile?.slots) return null;
+
+  const slots = [];
+  for (const slot of boosterFile.slots) {
+    if (!slot.pool) continue;
+    const finishes = Object.keys(slot.pool);
+    if (finishes.length === 0) continue;
+
+    const rates = {};
+    const size = {};
+    for (const finish of finishes) {
+      rates[finish] = slot.rates?.[finish] ?? (finishes.length === 1 ? 1 : null);
+      if (rates[finish] === null) {
+        console.warn(`  No ${finish} rate for the ${slot.name} slot of ${setCode} ${fileType} boosters, using rarity counts`);
+        return null;
+      }
+      size[finish] = countRangeSize(slot.pool[finish]);
+    }
+
+    slots.push({
+      name: slot.name,
+      set: slot.set || setCode,
+      count: slot.count || 1,
+      rates,
+      pool: slot.pool,
+      size,
+    });
+  }
+  return slots.length > 0 ? slots : null;
+}
 
-  const playType = types.includes('play') ? 'play' : types.includes('draft') ? 'draft' : null;
-  if (!playType) return null;
+// Jumpstart themes from booster data's jumpstart file, trimmed like slots: each
+// theme's guaranteed cards and rare slot options as CN ranges, with the number of
+// printings each covers. Null for sets without theme data.
+async function getJumpstartThemes(setCode) {
+  if (!boosterIndex.boosters?.[setCode]?.includes('jumpstart')) return null;
+
+  const boosterFile = await loadBoosterFile(setCode, 'jumpstart');
+  if (!boosterFile?.themes?.length) return null;
+
+  return boosterFile.themes.map(theme => {
+    const cards = theme.cards || [];
+    const rares = theme.rares || [];
+    return {
+      name: theme.name,
+      cards,
+      rares,
+      size: { cards: countRangeSize(cards), rares: countRangeSize(rares) },
+    };
+  });
+}
 
-  const boosterFile = await loadBoosterFile(setCode, playType);
+// Check if card is in a play, draft or set booster based on booster data
+async function isInBoosterByConfig(card, setCode, boosterType) {
+  const fileType = getBoosterFileType(setCode, boosterType);
+  if (!fileType) return null;
+
+  const boosterFile = await loadBoosterFile(setCode, fileType);
   const ranges = getPlayBoosterRanges(boosterFile);
   if (!ranges) return null;
 
@@ -166,73 +245,198 @@ function isCollectorExclusive(card) {
          frames.some(f => COLLECTOR_EXCLUSIVE_FRAMES.includes(f));
 }
 
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-
-async function fetchWithRetry(url, retries = 3) {
-  for (let i = 0; i < retries; i++) {
-    try {
-      const response = await fetch(url);
-      if (response.status === 429) {
-        console.log('  Rate limited, waiting 2s...');
-        await delay(2000);
-        continue;
-      }
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}`);
-      }
-      return await response.json();
-    } catch (error) {
-      if (i === retries - 1) throw error;
-      await delay(500 * (i + 1));
+// ============ Card Sources ============
+
+// Cards come from Scryfall searches (apiSource) or from a bulk file (createBulkSource).
+// Both answer the same searches:
+// { setCode, lang, boosterType, useBoosterFilter, priced, rarity }
+let cardSource;
+
+// Scryfall query for a search. Play, draft and set boosters use Scryfall's is:booster
+// filter unless booster data is there to filter them client-side. Set boosters keep
+// the boosterfun cards (showcase, borderless) the others leave out.
+function getSearchQuery({ setCode, lang = 'en', boosterType, useBoosterFilter, priced, rarity }) {
+  let query = `set:${setCode} lang:${lang}`;
+  if (useBoosterFilter && boosterType !== 'collector' && !JUMPSTART_SETS.has(setCode)) {
+    query += ' is:booster';
+    if (boosterType === 'set_booster') {
+      COLLECTOR_EXCLUSIVE_FRAMES.forEach(frame => {
+        query += ` -frame:${frame}`;
+      });
+    } else {
+      query += ' -is:boosterfun';
     }
-  }
-}
-
-async function fetchSetCards(setCode, boosterType) {
-  const hasBoosterData = boosterIndex.boosters?.[setCode];
-
-  let query = `set:${setCode} lang:en`;
-
-  // If we have booster data, fetch all cards and filter client-side
-  // Otherwise use Scryfall's is:booster filter
-  if (!hasBoosterData && boosterType !== 'collector' && !JUMPSTART_SETS.has(setCode)) {
-    query += ' is:booster -is:boosterfun';
     COLLECTOR_EXCLUSIVE_PROMOS.forEach(promo => {
       query += ` -promo:${promo}`;
     });
   }
+  // Cards worth $0.50+ (or €0.50 / 0.5 tix) to have some buffer
+  if (priced) query += ' (usd>=0.5 OR usd_foil>=0.5 OR eur>=0.5 OR eur_foil>=0.5 OR tix>=0.5)';
+  if (rarity) query += ` r:${rarity}`;
+  return query;
+}
 
-  // Fetch cards worth $0.50+ to have some buffer
-  query += ` (usd>=0.5 OR usd_foil>=0.5)`;
+// Bulk-file version of getSearchQuery - keep the two in step
+function matchesSearch(card, { setCode, lang = 'en', boosterType, useBoosterFilter, priced, rarity }) {
+  if (card.set !== setCode || card.lang !== lang) return false;
+  if (useBoosterFilter && boosterType !== 'collector' && !JUMPSTART_SETS.has(setCode)) {
+    const promos = card.promo_types || [];
+    if (!card.booster) return false;
+    if (boosterType === 'set_booster') {
+      if ((card.frame_effects || []).some(frame => COLLECTOR_EXCLUSIVE_FRAMES.includes(frame))) return false;
+    } else if (promos.includes('boosterfun')) {
+      return false;
+    }
+    if (promos.some(promo => COLLECTOR_EXCLUSIVE_PROMOS.includes(promo))) return false;
+  }
+  if (priced && !['usd', 'usd_foil', 'eur', 'eur_foil', 'tix'].some(key => parseFloat(card.prices?.[key]) >= 0.5)) return false;
+  if (rarity && card.rarity !== rarity) return false;
+  return true;
+}
 
-  const url = `${SCRYFALL_API}/cards/search?q=${encodeURIComponent(query)}&unique=prints&order=usd&dir=desc`;
+const apiSource = {
+  name: 'api',
 
-  let allCards = [];
-  let nextUrl = url;
+  async search(search) {
+    let nextUrl = `${SCRYFALL_API}/cards/search?q=${encodeURIComponent(getSearchQuery(search))}&unique=prints&order=usd&dir=desc`;
+    let cards = [];
+    try {
+      while (nextUrl) {
+        await delay(RATE_LIMIT_MS);
+        const data = await fetchWithRetry(nextUrl);
+        cards = cards.concat(data.data || []);
+        nextUrl = data.has_more ? data.next_page : null;
+      }
+    } catch (error) {
+      if (error.message === 'HTTP 404') {
+        return []; // No cards match - that's fine
+      }
+      throw error;
+    }
+    return cards;
+  },
 
-  try {
-    while (nextUrl) {
+  // Only the first page is fetched - total_cards has the count
+  async count(search) {
+    try {
       await delay(RATE_LIMIT_MS);
-      const data = await fetchWithRetry(nextUrl);
-      allCards = allCards.concat(data.data || []);
-      nextUrl = data.has_more ? data.next_page : null;
-
-      // Limit to first 2 pages (350 cards) to keep files reasonable
-      if (allCards.length >= 350) break;
+      const data = await fetchWithRetry(`${SCRYFALL_API}/cards/search?q=${encodeURIComponent(getSearchQuery(search))}&unique=prints`);
+      return data.total_cards;
+    } catch (error) {
+      if (error.message === 'HTTP 404') return 0;
+      throw error;
     }
-  } catch (error) {
-    if (error.message === 'HTTP 404') {
-      return []; // No cards match - that's fine
+  },
+};
+
+// Fields of a bulk card that processCard and matchesSearch read; the rest is dropped
+// so holding every cached set in memory stays cheap
+function trimBulkCard(card) {
+  return {
+    id: card.id,
+    name: card.name,
+    set: card.set,
+    lang: card.lang,
+    collector_number: card.collector_number,
+    rarity: card.rarity,
+    booster: card.booster,
+    image_uris: card.image_uris && { normal: card.image_uris.normal },
+    card_faces: card.card_faces?.map(face => ({ image_uris: face.image_uris && { normal: face.image_uris.normal } })),
+    scryfall_uri: card.scryfall_uri,
+    tcgplayer_id: card.tcgplayer_id,
+    finishes: card.finishes,
+    prices: card.prices,
+    frame_effects: card.frame_effects,
+    border_color: card.border_color,
+    full_art: card.full_art,
+    frame: card.frame,
+    promo: card.promo,
+    promo_types: card.promo_types,
+  };
+}
+
+// Download a Scryfall bulk file to a temp file and return its path. default_cards
+// only has other languages' printings when they were never printed in English, so
+// caching other languages needs all_cards.
+async function downloadBulkFile(type = 'default-cards') {
+  const bulk = await fetchWithRetry(`${SCRYFALL_API}/bulk-data/${type}`);
+  const filePath = path.join(os.tmpdir(), `scryfall-${type}-${bulk.updated_at.slice(0, 10)}.json`);
+  if (!fs.existsSync(filePath)) {
+    console.log(`Downloading ${bulk.download_uri}...`);
+    const response = await fetch(bulk.download_uri);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    await pipeline(Readable.fromWeb(response.body), fs.createWriteStream(filePath));
+  }
+  return filePath;
+}
+
+// Call onCard for each card in a bulk file without reading the whole file into
+// memory: the file is one JSON array, so each top-level {...} is cut out and parsed
+// on its own as it streams past
+async function readBulkCards(filePath, onCard, chunkSize = 1 << 20) {
+  let buffer = '';
+  let start = -1;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+
+  for await (const chunk of fs.createReadStream(filePath, { encoding: 'utf8', highWaterMark: chunkSize })) {
+    buffer += chunk;
+    for (let i = buffer.length - chunk.length; i < buffer.length; i++) {
+      const char = buffer[i];
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (char === '\\') escaped = true;
+        else if (char === '"') inString = false;
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === '{') {
+        if (depth++ === 0) start = i;
+      } else if (char === '}') {
+        if (--depth === 0) {
+          onCard(JSON.parse(buffer.slice(start, i + 1)));
+          start = -1;
+        }
+      }
     }
-    throw error;
+    // Only the card still being read is kept between chunks
+    buffer = start === -1 ? '' : buffer.slice(start);
+    if (start !== -1) start = 0;
   }
+}
+
+// Answer searches from a bulk file, keeping only the sets and languages we cache
+async function createBulkSource(filePath, setCodes, langs) {
+  const bySet = new Map(setCodes.map(code => [code, []]));
+  await readBulkCards(filePath, card => {
+    if (langs.includes(card.lang)) bySet.get(card.set)?.push(trimBulkCard(card));
+  });
+  console.log(`Loaded ${[...bySet.values()].reduce((sum, cards) => sum + cards.length, 0)} cards from ${filePath}`);
+
+  const find = search => (bySet.get(search.setCode) || []).filter(card => matchesSearch(card, search));
+  return {
+    name: 'bulk',
+    async search(search) {
+      return find(search);
+    },
+    async count(search) {
+      return find(search).length;
+    },
+  };
+}
+
+async function fetchSetCards(setCode, boosterType, lang) {
+  const hasBoosterData = boosterIndex.boosters?.[setCode];
 
-  // If we have booster data, filter for play boosters client-side
+  // If we have booster data, fetch all cards and filter client-side
+  const allCards = await cardSource.search({ setCode, lang, boosterType, useBoosterFilter: !hasBoosterData, priced: true });
+
+  // If we have booster data, filter for play, draft or set boosters client-side
   if (hasBoosterData && boosterType !== 'collector') {
     const filteredCards = [];
     for (const card of allCards) {
-      const inPlayBooster = await isInPlayBoosterByConfig(card, setCode);
-      if (inPlayBooster === true) {
+      const inBooster = await isInBoosterByConfig(card, setCode, boosterType);
+      if (inBooster === true) {
         // Trust booster-data ranges as source of truth
         filteredCards.push(card);
         continue;
@@ -250,6 +454,23 @@ async function fetchSetCards(setCode, boosterType) {
   return allCards;
 }
 
+// Printings per rarity in a booster type, bulk included. The cached card lists stop
+// at $0.50, so EV without booster slots divides by these instead of the cards it has.
+async function fetchRarityCounts(setCode, boosterType) {
+  const counts = {};
+  for (const rarity of ['common', 'uncommon', 'rare', 'mythic']) {
+    counts[rarity] = await cardSource.count({ setCode, lang: 'en', boosterType, useBoosterFilter: true, rarity });
+  }
+  return counts;
+}
+
+// Scryfall price keys per finish for each cached market
+const FINISH_PRICE_KEYS = {
+  nonfoil: { price: 'usd', eur: 'eur', tix: 'tix' },
+  foil: { price: 'usd_foil', eur: 'eur_foil' },
+  etched: { price: 'usd_etched', eur: 'eur_etched' },
+};
+
 function processCard(card) {
   // Extract only the fields we need to minimize file size
   const prices = card.prices || {};
@@ -264,6 +485,7 @@ function processCard(card) {
     booster: card.booster,
     image: card.image_uris?.normal || card.card_faces?.[0]?.image_uris?.normal || '',
     uri: card.scryfall_uri,
+    tcgplayer_id: card.tcgplayer_id,
     finishes: [],
     // Treatment detection
     showcase: card.frame_effects?.includes('showcase') || false,
@@ -272,86 +494,337 @@ function processCard(card) {
     borderless: card.border_color === 'borderless',
     fullart: card.full_art || false,
     etched: card.frame_effects?.includes('etched') || false,
+    frame: card.frame,
     promo: card.promo || false,
     // Store promo_types for client-side filtering (important for new sets)
     promo_types: card.promo_types || [],
   };
 
-  // Add available finishes with prices
-  if (finishes.includes('nonfoil') && prices.usd) {
-    result.finishes.push({ type: 'nonfoil', price: parseFloat(prices.usd) });
-  }
-  if (finishes.includes('foil') && prices.usd_foil) {
-    result.finishes.push({ type: 'foil', price: parseFloat(prices.usd_foil) });
+  // Double-faced cards have an image per face; keep both for the detail view
+  if (card.card_faces?.every(face => face.image_uris)) {
+    result.faces = card.card_faces.map(face => face.image_uris.normal);
   }
-  if (finishes.includes('etched') && prices.usd_etched) {
-    result.finishes.push({ type: 'etched', price: parseFloat(prices.usd_etched) });
+
+  // Add available finishes with prices: TCGplayer USD as `price` (null if only
+  // another market has one), Cardmarket EUR as `eur` and MTGO tix as `tix`
+  for (const [type, keys] of Object.entries(FINISH_PRICE_KEYS)) {
+    if (!finishes.includes(type)) continue;
+    const finish = { type, price: prices[keys.price] ? parseFloat(prices[keys.price]) : null };
+    if (prices[keys.eur]) finish.eur = parseFloat(prices[keys.eur]);
+    if (keys.tix && prices[keys.tix]) finish.tix = parseFloat(prices[keys.tix]);
+    if (finish.price !== null || finish.eur !== undefined || finish.tix !== undefined) {
+      result.finishes.push(finish);
+    }
   }
 
-  // Only include cards with at least one finish worth $0.50+
-  if (result.finishes.some(f => f.price >= 0.5)) {
+  // Only include cards with at least one finish worth 0.50+ in some market
+  if (result.finishes.some(f => [f.price, f.eur, f.tix].some(price => price >= 0.5))) {
     return result;
   }
   return null;
 }
 
-async function cacheSet(set) {
-  console.log(`Caching ${set.code} (${set.name})...`);
+// Cache one set's English cards, or its cards in another language (null when none
+// of that language's printings are worth caching, as for most sets)
+async function cacheSet(set, lang = 'en') {
+  console.log(`Caching ${set.code} (${set.name})${lang === 'en' ? '' : ` in ${lang}`}...`);
 
-  // Fetch both booster types
-  const [playCards, collectorCards] = await Promise.all([
-    fetchSetCards(set.code, 'play'),
-    delay(RATE_LIMIT_MS).then(() => fetchSetCards(set.code, 'collector'))
-  ]);
+  // Fetch every booster type the set has (play is draft boosters for older sets)
+  const boosterTypes = hasSetBoosters(set.code, set.released) ? ['play', 'set_booster', 'collector'] : ['play', 'collector'];
+  const fetchedCards = await Promise.all(boosterTypes.map((boosterType, i) =>
+    delay(RATE_LIMIT_MS * i).then(() => fetchSetCards(set.code, boosterType, lang))
+  ));
 
-  // Process and dedupe
-  const seenIds = new Set();
-  const processedPlay = [];
-  const processedCollector = [];
-
-  for (const card of playCards) {
-    const processed = processCard(card);
-    if (processed && !seenIds.has(processed.id)) {
-      seenIds.add(processed.id);
-      processedPlay.push(processed);
-    }
-  }
+  // Most valuable first, then by id, so the same cards always make the same file
+  // whichever source they came from
+  const maxPrice = card => Math.max(...card.finishes.map(f => f.price));
+  const byValue = (a, b) => maxPrice(b) - maxPrice(a) || (a.id < b.id ? -1 : 1);
 
-  for (const card of collectorCards) {
-    const processed = processCard(card);
-    if (processed && !seenIds.has(processed.id)) {
-      seenIds.add(processed.id);
-      processedCollector.push(processed);
+  // Process and dedupe. Each booster type includes the cards of the one before it
+  // (set boosters every draft card, collector boosters every card) plus its own.
+  const seenIds = new Set();
+  const lists = {};
+  let previousList = [];
+  boosterTypes.forEach((boosterType, i) => {
+    const added = [];
+    for (const card of fetchedCards[i]) {
+      const processed = processCard(card);
+      if (processed && !seenIds.has(processed.id)) {
+        seenIds.add(processed.id);
+        added.push(processed);
+      }
     }
+    added.sort(byValue);
+    lists[boosterType] = previousList = [...previousList, ...added];
+  });
+  if (lang !== 'en' && lists.collector.length === 0) return null;
+
+  // Rarity counts are only needed without slot layouts, and only in English:
+  // other languages' boosters share the English file's pool
+  const slots = {};
+  const counts = {};
+  for (const boosterType of boosterTypes) {
+    slots[boosterType] = await getBoosterSlots(set.code, boosterType);
+    if (!slots[boosterType] && lang === 'en') counts[boosterType] = await fetchRarityCounts(set.code, boosterType);
   }
-
-  // Collector includes all play cards plus collector-only cards
-  const allCollector = [...processedPlay, ...processedCollector];
+  const themes = JUMPSTART_SETS.has(set.code) ? await getJumpstartThemes(set.code) : null;
 
   const cacheData = {
     set: set.code,
+    // Only other languages are marked, so English files stay as they were
+    ...(lang !== 'en' && { lang }),
     name: set.name,
     updated: new Date().toISOString(),
-    play: processedPlay,
-    collector: allCollector,
+    ...lists,
+    // Booster slot layouts for slot-accurate EV (null when booster data has none)
+    slots,
+    // Printings per rarity, for EV denominators when there are no slot layouts (English only)
+    ...(lang === 'en' && { counts }),
+    // Jumpstart theme lists for per-theme value (jumpstart sets with theme data only)
+    ...(themes && { themes }),
   };
 
-  console.log(`  Play: ${processedPlay.length} cards, Collector: ${allCollector.length} cards`);
+  console.log('  ' + boosterTypes.map(boosterType => `${boosterType}: ${lists[boosterType].length} cards`).join(', '));
 
   return cacheData;
 }
 
-async function main() {
+// Pack EV per booster type, using the same model as the site (lib/core.js is an ES module).
+// Lottery cards are left out, as they are on the site unless you include them.
+async function calculateCachedPackEV(cacheData) {
+  const { calculatePackEV, convertCachedCard, isLotteryCard } = await import('../lib/core.js');
+  const packEV = {};
+  for (const boosterType of ['play', 'set_booster', 'collector'].filter(type => cacheData[type])) {
+    const slots = cacheData.slots?.[boosterType];
+    const cards = cacheData[boosterType].map(convertCachedCard).filter(card => !isLotteryCard(card, slots));
+    const { total, slots: breakdown } = calculatePackEV(cards, slots, cacheData.counts?.[boosterType], 'usd', boosterType);
+    // Set boosters without booster data have no EV to record
+    if (breakdown.length === 0) continue;
+    packEV[boosterType] = Math.round(total * 100) / 100;
+  }
+  return packEV;
+}
+
+// Append today's prices and pack EV to data/history/<set>.json.
+// Columnar to stay small: one dates array, and per card id and finish a price array
+// aligned with it (null where the card wasn't cached that day). Pack EV per booster
+// type is kept the same way under `ev`. Days whose prices and EV match the last
+// recorded day are left out, so the file is only rewritten when something moved.
+function appendPriceHistory(cacheData, packEV, historyDir) {
+  const filePath = path.join(historyDir, `${cacheData.set}.json`);
+  const today = cacheData.updated.slice(0, 10);
+
+  let history = { set: cacheData.set, dates: [], prices: {}, ev: {} };
+  let previousFile = null;
+  if (fs.existsSync(filePath)) {
+    try {
+      previousFile = fs.readFileSync(filePath, 'utf8');
+      history = JSON.parse(previousFile);
+    } catch (e) {
+      console.warn(`  Could not read price history for ${cacheData.set}, starting fresh`);
+    }
+  }
+  // History written before pack EV was tracked
+  history.ev = history.ev || {};
+
+  // Re-running on the same day replaces that day's prices
+  let dayIndex = history.dates.indexOf(today);
+  const isNewDay = dayIndex === -1;
+  if (isNewDay) {
+    history.dates.push(today);
+    dayIndex = history.dates.length - 1;
+    for (const finishes of Object.values(history.prices)) {
+      for (const series of Object.values(finishes)) series.push(null);
+    }
+    for (const series of Object.values(history.ev)) series.push(null);
+  }
+
+  for (const [boosterType, ev] of Object.entries(packEV)) {
+    const series = history.ev[boosterType] || (history.ev[boosterType] = new Array(history.dates.length).fill(null));
+    series[dayIndex] = ev;
+  }
+
+  // Collector lists include every play card, so they cover the whole set
+  for (const card of cacheData.collector) {
+    const finishes = history.prices[card.id] || (history.prices[card.id] = {});
+    for (const finish of card.finishes) {
+      if (finish.price === null) continue;
+      const series = finishes[finish.type] || (finishes[finish.type] = new Array(history.dates.length).fill(null));
+      series[dayIndex] = finish.price;
+    }
+  }
+
+  if (isNewDay && dayIndex > 0 && JSON.stringify(getHistoryDay(history, dayIndex)) === JSON.stringify(getHistoryDay(history, dayIndex - 1))) {
+    return;
+  }
+
+  // Trim to the retention window and drop cards with no prices left in it. Days are
+  // only recorded when something moved, so the window is by date, not day count.
+  const cutoff = new Date(today);
+  cutoff.setUTCDate(cutoff.getUTCDate() - HISTORY_DAYS);
+  const cutoffDate = cutoff.toISOString().slice(0, 10);
+  const excess = history.dates.filter(date => date <= cutoffDate).length;
+  if (excess > 0) {
+    history.dates = history.dates.slice(excess);
+    for (const [id, finishes] of Object.entries(history.prices)) {
+      for (const [finish, series] of Object.entries(finishes)) {
+        finishes[finish] = series.slice(excess);
+        if (finishes[finish].every(p => p === null)) delete finishes[finish];
+      }
+      if (Object.keys(finishes).length === 0) delete history.prices[id];
+    }
+    for (const [boosterType, series] of Object.entries(history.ev)) {
+      history.ev[boosterType] = series.slice(excess);
+    }
+  }
+
+  const json = JSON.stringify(history);
+  if (json !== previousFile) fs.writeFileSync(filePath, json);
+}
+
+// One day of a history's prices and pack EV as { 'id:finish' | 'ev:type': value }
+function getHistoryDay(history, dayIndex) {
+  const day = {};
+  for (const [id, finishes] of Object.entries(history.prices)) {
+    for (const [finish, series] of Object.entries(finishes)) {
+      if (series[dayIndex] !== null) day[`${id}:${finish}`] = series[dayIndex];
+    }
+  }
+  for (const [boosterType, series] of Object.entries(history.ev)) {
+    if (series[dayIndex] !== null) day[`ev:${boosterType}`] = series[dayIndex];
+  }
+  return day;
+}
+
+// Cards added, removed and repriced since the previous run's file
+function diffCachedCards(previousCards, cards) {
+  const previous = new Map(previousCards.map(card => [card.id, card]));
+  const diff = { added: 0, removed: 0, repriced: 0 };
+  for (const card of cards) {
+    const old = previous.get(card.id);
+    if (!old) diff.added++;
+    else if (JSON.stringify(old.finishes) !== JSON.stringify(card.finishes)) diff.repriced++;
+    previous.delete(card.id);
+  }
+  diff.removed = previous.size;
+  return diff;
+}
+
+// Data file path for a set, relative to data/: <set>.json for English, <lang>/<set>.json otherwise
+function getSetFileName(setCode, lang = 'en') {
+  return lang === 'en' ? `${setCode}.json` : `${lang}/${setCode}.json`;
+}
+
+// Cards are written in the compact row format from lib/core.js; EV and history
+// below keep working on the per-card objects. The set file is only rewritten when
+// something besides `updated` changed, so unchanged sets stay out of the commit.
+// Price history is English-only. Returns the set's manifest entry.
+async function writeSetCache(cacheData, dataDir) {
+  const { encodeCacheData, getCachedCardList } = await import('../lib/core.js');
+  const filePath = path.join(dataDir, getSetFileName(cacheData.set, cacheData.lang));
+  const encoded = encodeCacheData(cacheData);
+
+  let previous = null;
+  if (fs.existsSync(filePath)) {
+    try {
+      previous = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (e) {
+      console.warn(`  Could not read previous cache for ${cacheData.set}, rewriting it`);
+    }
+  }
+  const withoutTime = data => JSON.stringify({ ...data, updated: null });
+  const changed = !previous || withoutTime(previous) !== withoutTime(encoded);
+  if (changed) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(encoded));
+  }
+
+  // History is checked either way: it tracks TCGplayer prices, not the whole file
+  const packEV = await calculateCachedPackEV(cacheData);
+  if (!cacheData.lang) appendPriceHistory(cacheData, packEV, path.join(dataDir, 'history'));
+  const evSummary = Object.entries(packEV).map(([boosterType, ev]) => `${boosterType} $${ev.toFixed(2)}`).join(', ');
+  console.log(`  Pack EV: ${evSummary}${changed ? '' : ' (unchanged)'}`);
+
+  return {
+    updated: changed ? cacheData.updated : previous.updated,
+    cards: cacheData.collector.length,
+    ...diffCachedCards(getCachedCardList(previous, 'collector'), cacheData.collector),
+  };
+}
+
+// --name=value command line options; a bare --name is true
+function parseOptions(args) {
+  const options = {};
+  for (const arg of args) {
+    const match = arg.match(/^--([\w-]+)(?:=(.*))?$/);
+    if (match) options[match[1]] = match[2] ?? true;
+  }
+  return options;
+}
+
+// Options:
+//   --bulk               build from a Scryfall bulk file instead of searches (default_cards,
+//                        or all_cards when caching other languages)
+//   --bulk=<file>        ...from a bulk file already downloaded (no Scryfall calls at all)
+//   --sets=<codes>       only these set codes, comma separated
+//   --langs              also cache the other languages the site reads from cache
+//                        (CACHED_LANGUAGES in lib/mtg.js); English only by default
+//   --langs=<codes>      ...just these languages besides English, comma separated
+//   --out=<dir>          write set files, history and manifest here instead of data/
+//   --booster-data=<dir> local booster-data checkout
+async function main(args = process.argv.slice(2)) {
+  const options = parseOptions(args);
+  if (options['booster-data']) boosterDataDir = path.resolve(options['booster-data']);
+
   // Load shared configs
-  await loadCollectorExclusives();
+  await loadSetRules();
   await loadBoosterIndex();
 
   const setsPath = path.join(__dirname, '..', 'sets.json');
-  const dataDir = path.join(__dirname, '..', 'data');
+  const dataDir = options.out ? path.resolve(options.out) : path.join(__dirname, '..', 'data');
+  fs.mkdirSync(path.join(dataDir, 'history'), { recursive: true });
+
+  // Load sets, plus Special Guests (spg) and The Big Score (big) for Play Booster sets
+  const onlySets = typeof options.sets === 'string' ? options.sets.split(',') : null;
+  const wanted = set => !onlySets || onlySets.includes(set.code);
+  const sets = JSON.parse(fs.readFileSync(setsPath, 'utf8')).filter(wanted);
+  const specialSets = [
+    { code: 'spg', name: 'Special Guests' },
+    { code: 'big', name: 'The Big Score' }
+  ].filter(wanted);
+  const langs = typeof options.langs === 'string'
+    ? options.langs.split(',').filter(lang => lang && lang !== 'en')
+    : options.langs ? CACHED_LANGUAGES : [];
+  console.log(`Found ${sets.length} sets to cache${langs.length ? `, also in ${langs.join(', ')}` : ''}\n`);
+
+  // The bulk file builds every set in one pass instead of searching set by set
+  if (options.bulk) {
+    const filePath = options.bulk === true ? await downloadBulkFile(langs.length ? 'all-cards' : 'default-cards') : options.bulk;
+    cardSource = await createBulkSource(filePath, [...sets, ...specialSets].map(set => set.code), ['en', ...langs]);
+  } else {
+    cardSource = apiSource;
+  }
 
-  // Load sets
-  const sets = JSON.parse(fs.readFileSync(setsPath, 'utf8'));
-  console.log(`Found ${sets.length} sets to cache\n`);
+  // Entries from earlier runs are kept for sets this run skips or fails on
+  const manifestPath = path.join(dataDir, 'manifest.json');
+  let previousManifest = {};
+  if (fs.existsSync(manifestPath)) {
+    try {
+      previousManifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    } catch (e) {
+      console.warn('Could not read the previous manifest');
+    }
+  }
+
+  // Cache English and then each other language of a set; entries are keyed by file
+  // name without .json ("dsk", "ja/dsk")
+  const files = {};
+  const cacheSetFiles = async set => {
+    for (const lang of ['en', ...langs]) {
+      const cacheData = await cacheSet(set, lang);
+      if (cacheData) files[getSetFileName(set.code, lang).replace(/\.json$/, '')] = await writeSetCache(cacheData, dataDir);
+    }
+  };
 
   // Process sets in batches to avoid overwhelming Scryfall
   const BATCH_SIZE = 5;
@@ -363,9 +836,7 @@ async function main() {
 
     for (const set of batch) {
       try {
-        const cacheData = await cacheSet(set);
-        const filePath = path.join(dataDir, `${set.code}.json`);
-        fs.writeFileSync(filePath, JSON.stringify(cacheData));
+        await cacheSetFiles(set);
         processed++;
       } catch (error) {
         console.error(`  Error caching ${set.code}: ${error.message}`);
@@ -373,43 +844,44 @@ async function main() {
       }
     }
 
-    // Longer pause between batches
-    if (i + BATCH_SIZE < sets.length) {
+    // Longer pause between batches (the bulk file needs no API calls)
+    if (cardSource === apiSource && i + BATCH_SIZE < sets.length) {
       console.log(`\nPausing between batches... (${processed}/${sets.length} done)\n`);
       await delay(1000);
     }
   }
 
-  console.log(`\nDone! Cached ${processed} sets.`);
-  if (errors.length > 0) {
-    console.log(`Errors: ${errors.length}`);
-    errors.forEach(e => console.log(`  - ${e.set}: ${e.error}`));
-  }
-
-  // Cache Special Guests (spg) and The Big Score (big) for Play Booster sets
-  console.log('\nCaching Special Guests and The Big Score...');
-  const specialSets = [
-    { code: 'spg', name: 'Special Guests' },
-    { code: 'big', name: 'The Big Score' }
-  ];
-
+  if (specialSets.length > 0) console.log('\nCaching Special Guests and The Big Score...');
   for (const specialSet of specialSets) {
     try {
-      const cacheData = await cacheSet(specialSet);
-      const filePath = path.join(dataDir, `${specialSet.code}.json`);
-      fs.writeFileSync(filePath, JSON.stringify(cacheData));
+      await cacheSetFiles(specialSet);
     } catch (error) {
       console.error(`  Error caching ${specialSet.code}: ${error.message}`);
     }
   }
 
-  // Write a manifest file with last update time
+  const changed = Object.values(files).filter(file => file.added || file.removed || file.repriced).length;
+  console.log(`\nDone! Cached ${processed} sets, ${changed} set files with card changes.`);
+  if (errors.length > 0) {
+    console.log(`Errors: ${errors.length}`);
+    errors.forEach(e => console.log(`  - ${e.set}: ${e.error}`));
+  }
+
+  // Write a manifest file with the run time, plus each set file's last change and
+  // what the last run to cache it changed; only this run's sets are replaced
+  const updated = new Date().toISOString();
   const manifest = {
-    updated: new Date().toISOString(),
+    updated,
+    source: cardSource.name,
     sets: processed,
     errors: errors.length,
+    files: { ...previousManifest.files, ...files },
   };
-  fs.writeFileSync(path.join(dataDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+}
+
+if (require.main === module) {
+  main().catch(console.error);
 }
 
-main().catch(console.error);
+module.exports = { main, readBulkCards };
@@ -0,0 +1,105 @@
+// Pack Cracker - service worker
+// Keeps the app usable offline: the app shell is precached, set data files are
+// cached as they're viewed (most recent few kept), and sets saved for offline use
+// live in their own cache that is never trimmed. The page and its ES modules are
+// fetched network-first, so a release never runs against modules from an older one.
+
+const SHELL_CACHE = 'packcracker-shell-v1';
+const DATA_CACHE = 'packcracker-data';
+const SAVED_CACHE = 'packcracker-saved';
+
+// Recently viewed data files (set cards and their history) kept for offline use
+const RECENT_DATA_LIMIT = 20;
+
+const SHELL_FILES = [
+  './',
+  './index.html',
+  './app.js',
+  './pull-log.js',
+  './lib/core.js',
+  './lib/mtg.js',
+  './style.css',
+  './sets.json',
+  './manifest.webmanifest',
+  './favicon.svg',
+  './favicon.png',
+  './apple-touch-icon.png',
+];
+
+// Shared stylesheet from the main site - cached if reachable, but it can't block install
+const REMOTE_SHELL_FILES = [
+  'https://bensonperry.com/shared/common.css',
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.addAll(SHELL_FILES);
+    await Promise.all(REMOTE_SHELL_FILES.map(url => cache.add(url).catch(() => {})));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keep = [SHELL_CACHE, DATA_CACHE, SAVED_CACHE];
+    const names = await caches.keys();
+    await Promise.all(names.filter(name => !keep.includes(name)).map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  const isLocal = url.origin === self.location.origin;
+
+  if (isLocal && (url.pathname.includes('/data/') || url.pathname.endsWith('/sets.json'))) {
+    event.respondWith(networkFirst(request, url.pathname.includes('/data/') && !url.pathname.endsWith('/manifest.json')));
+  } else if (isLocal && (request.mode === 'navigate' || url.pathname.endsWith('.js'))) {
+    event.respondWith(networkFirst(request, false));
+  } else if (isLocal || REMOTE_SHELL_FILES.includes(request.url)) {
+    event.respondWith(staleWhileRevalidate(request));
+  }
+  // Everything else (Scryfall API, card images) goes straight to the network
+});
+
+// Prices change daily and modules must match the page, so prefer the network
+// and fall back to any cached copy
+async function networkFirst(request, keepRecent) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(keepRecent ? DATA_CACHE : SHELL_CACHE);
+      // Keyed without the query string, so every ?set= link to the page shares one entry
+      await cache.put(request.url.split('?')[0], response.clone());
+      if (keepRecent) await trimCache(cache, RECENT_DATA_LIMIT);
+    }
+    return response;
+  } catch (error) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request, { ignoreSearch: true });
+  const refresh = fetch(request)
+    .then(response => {
+      if (response.ok) cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => cached);
+
+  return cached || refresh;
+}
+
+// Re-putting an entry moves it to the end, so the oldest keys are the least recently viewed
+async function trimCache(cache, limit) {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - limit)).map(key => cache.delete(key)));
+}
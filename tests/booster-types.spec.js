@@ -0,0 +1,49 @@
+const { test, expect, isLive, waitForCardsLoaded } = require('./fixture-mode');
+
+// Counts and prices from tests/fixtures/data - these only hold in fixture mode
+test.skip(isLive, 'asserts exact fixture prices');
+
+test.describe('Booster Type Toggle', () => {
+  test('Play booster era sets offer play and collector', async ({ page }) => {
+    await page.goto('/?set=blb');
+    await waitForCardsLoaded(page);
+
+    await expect(page.locator('#booster-toggle .toggle-btn')).toHaveText(['play', 'collector']);
+  });
+
+  test('Set booster era sets offer draft, set and collector, each with its own cards and EV', async ({ page }) => {
+    await page.goto('/?set=dmu&min=2');
+    await waitForCardsLoaded(page);
+
+    await expect(page.locator('#booster-toggle .toggle-btn')).toHaveText(['draft', 'set', 'collector']);
+    await expect(page.locator('#card-count')).toHaveText('showing 2 cards');
+    await expect(page.locator('#pack-ev .ev-value')).toHaveText(/^~\$\d+\.\d{2}$/);
+
+    await page.locator('#booster-toggle .toggle-btn[data-value="set_booster"]').click();
+    await waitForCardsLoaded(page);
+
+    expect(new URL(page.url()).searchParams.get('booster')).toBe('set_booster');
+    // The showcase Liliana is in set boosters; the extended art Sheoldred stays collector-only.
+    // dmu has no set booster layout in booster data, so there's no EV to show
+    await expect(page.locator('#card-count')).toHaveText('showing 3 cards');
+    await expect(page.locator('#pack-ev .ev-value')).toHaveText('—');
+    await expect(page.locator('#pack-ev .ev-note')).toHaveText('no booster data for this booster yet');
+    await expect(page.locator('#pack-ev .tcg-link')).toHaveAttribute('href', /set%20booster/);
+  });
+
+  test('Pre-collector sets only have draft boosters', async ({ page }) => {
+    await page.goto('/?set=lea&booster=collector');
+    await waitForCardsLoaded(page);
+
+    await expect(page.locator('#booster-toggle')).toHaveClass(/single/);
+    await expect(page.locator('#booster-toggle .toggle-btn')).toHaveText(['draft booster']);
+    await expect(page.locator('#booster-type')).toHaveValue('play');
+  });
+
+  test('Jumpstart sets only have jumpstart boosters', async ({ page }) => {
+    await page.goto('/?set=j25');
+    await waitForCardsLoaded(page);
+
+    await expect(page.locator('#booster-toggle .toggle-btn')).toHaveText(['jumpstart']);
+  });
+});
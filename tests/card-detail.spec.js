@@ -0,0 +1,26 @@
+const { test, expect, isLive, waitForCardsLoaded } = require('./fixture-mode');
+
+// Counts and prices from tests/fixtures/data - these only hold in fixture mode
+test.skip(isLive, 'asserts exact fixture prices');
+
+test.describe('Card Detail', () => {
+  test('Clicking a card shows its prices, odds and EV share', async ({ page }) => {
+    await page.goto('/?set=blb&booster=play&min=2');
+    await waitForCardsLoaded(page);
+
+    await page.locator('.card', { hasText: 'maha, its feathers night' }).click();
+
+    const detail = page.locator('#card-detail');
+    await expect(detail).toBeVisible();
+    await expect(detail.locator('.detail-title')).toHaveText('maha, its feathers night');
+    await expect(detail.locator('.detail-facts')).toContainText('1 in 14 packs');
+    await expect(detail.locator('.detail-facts')).toContainText(/\$\d+\.\d{2} \(\d+\.\d% of pack ev\)/);
+    await expect(detail.locator('.detail-finishes tbody tr')).toHaveText([
+      /regular\s*\$46\.00\s*1 in 16 packs/,
+      /foil\s*\$52\.00\s*1 in 100 packs/,
+    ]);
+
+    await detail.locator('.detail-close').click();
+    await expect(detail).toBeHidden();
+  });
+});
@@ -0,0 +1,38 @@
+const { test, expect, isLive, waitForCardsLoaded } = require('./fixture-mode');
+
+// Counts and prices from tests/fixtures/data - these only hold in fixture mode
+test.skip(isLive, 'asserts exact fixture prices');
+
+test.describe('Compare', () => {
+  test('Shows two sets side by side from the URL', async ({ page }) => {
+    await page.goto('/?view=compare&a=blb:play&b=dsk:play');
+    await page.waitForFunction(() => document.querySelector('#compare-body tbody'), { timeout: 15000 });
+
+    const table = page.locator('#compare-body');
+    await expect(table.locator('th')).toHaveText(['', 'bloomburrow · play', 'duskmourn: house of horror · play']);
+    const money = /^\$[\d,]+\.\d{2}$/;
+    await expect(table.locator('tbody tr').nth(0).locator('td')).toHaveText(['pack ev', money, money]);
+    await expect(table.locator('tbody tr').nth(1).locator('td')).toHaveText(['box ev', money, money]);
+    await expect(table.locator('tbody tr').nth(2).locator('td')).toHaveText(['cards over $2', '4', '3']);
+    await expect(table.locator('tbody tr').nth(3).locator('td')).toHaveText(['top card share of ev', /^\d+%$/, /^\d+%$/]);
+    // Bloomburrow's Maha alone is worth more than a Duskmourn pack
+    await expect(table.locator('tbody tr').nth(0).locator('td').nth(1)).toHaveClass(/compare-better/);
+    await expect(table.locator('.compare-top').first().locator('li').first()).toContainText('maha, its feathers night');
+  });
+
+  test('Defaults to play vs collector of the current set and keeps the URL in sync', async ({ page }) => {
+    await page.goto('/?set=dsk');
+    await waitForCardsLoaded(page);
+
+    await page.locator('#view-toggle .toggle-btn[data-value="compare"]').click();
+    await expect(page.locator('#compare-body th')).toHaveText(['', 'duskmourn: house of horror · play', 'duskmourn: house of horror · collector']);
+
+    await page.locator('#compare-swap').click();
+    await expect(page.locator('#compare-body th').nth(1)).toHaveText('duskmourn: house of horror · collector');
+
+    const params = new URL(page.url()).searchParams;
+    expect(params.get('view')).toBe('compare');
+    expect(params.get('a')).toBe('dsk:collector');
+    expect(params.get('b')).toBe('dsk:play');
+  });
+});
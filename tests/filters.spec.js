@@ -0,0 +1,81 @@
+const { test, expect, isLive, waitForCardsLoaded } = require('./fixture-mode');
+
+// Counts and prices from tests/fixtures/data - these only hold in fixture mode
+test.skip(isLive, 'asserts exact fixture prices');
+
+test.describe('Filtering', () => {
+  test('Shows every card with a finish at or above the minimum price', async ({ page }) => {
+    await page.goto('/?set=blb&booster=play&min=2');
+    await waitForCardsLoaded(page);
+
+    // Maha, Lumra, Artist's Talent, and the bulk uncommon's $2.50 foil
+    await expect(page.locator('#card-count')).toHaveText('showing 4 cards');
+    const names = await page.locator('.card-name').allTextContents();
+    expect(names[0]).toContain('maha, its feathers night');
+  });
+
+  test('Excluding foils drops cards only worth the minimum as foils', async ({ page }) => {
+    await page.goto('/?set=blb&booster=play&min=2&foils=exclude');
+    await waitForCardsLoaded(page);
+
+    await expect(page.locator('#card-count')).toHaveText('showing 3 cards');
+    await expect(page.locator('.card-name', { hasText: 'bulk uncommon' })).toHaveCount(0);
+  });
+
+  test('Excluding rares leaves only commons and uncommons', async ({ page }) => {
+    await page.goto('/?set=blb&booster=play&min=2&rares=exclude');
+    await waitForCardsLoaded(page);
+
+    await expect(page.locator('#card-count')).toHaveText('showing 1 card');
+    await expect(page.locator('.card-name')).toHaveText(['bulk uncommon']);
+  });
+
+  test('Applies a custom price range', async ({ page }) => {
+    await page.goto('/?set=blb&booster=play&min=20&max=50');
+    await waitForCardsLoaded(page);
+
+    await expect(page.locator('#custom-min-price')).toHaveValue('20');
+    await expect(page.locator('#price-toggle .toggle-btn.active')).toHaveCount(0);
+    // Maha's $52 foil is over the max but its $46 regular isn't
+    await expect(page.locator('.card-name')).toHaveText(['maha, its feathers night', 'lumra, bellow of the woods', "artist's talent"]);
+    await expect(page.locator('.card', { hasText: 'maha' }).locator('.finish-type')).toHaveText(['regular']);
+  });
+
+  test('Filters by rarity, finish and name from the controls', async ({ page }) => {
+    await page.goto('/?set=blb&booster=play&min=2');
+    await waitForCardsLoaded(page);
+
+    await page.locator('#rarity-toggle .toggle-btn[data-value="mythic"]').click();
+    await waitForCardsLoaded(page);
+    await expect(page.locator('#card-count')).toHaveText('showing 2 cards');
+
+    await page.locator('#finish-toggle .toggle-btn[data-value="foil"]').click();
+    await page.locator('#name-search').fill('talent');
+    await waitForCardsLoaded(page);
+    await expect(page.locator('.card-name')).toHaveText(["artist's talent"]);
+
+    const params = new URL(page.url()).searchParams;
+    expect(params.get('rarity')).toBe('common,uncommon,rare');
+    expect(params.get('finish')).toBe('foil');
+    expect(params.get('q')).toBe('talent');
+  });
+
+  test('Filters by treatment', async ({ page }) => {
+    await page.goto('/?set=dsk&booster=collector&min=2&treatments=borderless');
+    await waitForCardsLoaded(page);
+
+    await expect(page.locator('#treatment-toggle .toggle-btn.active')).toHaveText(['borderless']);
+    await expect(page.locator('.card')).toHaveCount(1);
+    await expect(page.locator('.card[data-id="dsk-330"]')).toHaveCount(1);
+  });
+
+  test('Collector-only printings appear only in collector boosters', async ({ page }) => {
+    await page.goto('/?set=dsk&booster=play&min=2');
+    await waitForCardsLoaded(page);
+    await expect(page.locator('.card[data-id="dsk-330"]')).toHaveCount(0);
+
+    await page.goto('/?set=dsk&booster=collector&min=2');
+    await waitForCardsLoaded(page);
+    await expect(page.locator('.card[data-id="dsk-330"]')).toHaveCount(1);
+  });
+});
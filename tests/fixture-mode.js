@@ -0,0 +1,65 @@
+// Fixture mode for the Playwright suite.
+// Serves frozen card data from tests/fixtures instead of data/ and sets.json, and
+// stands in for the Scryfall search API, so tests don't depend on the network or on
+// today's prices. Set PACKCRACKER_LIVE=1 to run against the real data instead.
+
+const fs = require('fs');
+const path = require('path');
+const base = require('@playwright/test');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const isLive = !!process.env.PACKCRACKER_LIVE;
+
+// Scryfall searches the app makes live, keyed by the start of the query
+const SCRYFALL_FIXTURES = {
+  'set:mh3 (frame:old OR is:full)': 'mh3-retro.json',
+};
+
+const NOT_FOUND = { object: 'error', code: 'not_found', status: 404, details: 'No cards found' };
+
+function fulfillFile(route, filePath) {
+  if (!fs.existsSync(filePath)) {
+    return route.fulfill({ status: 404, contentType: 'application/json', body: JSON.stringify(NOT_FOUND) });
+  }
+  return route.fulfill({ status: 200, contentType: 'application/json', body: fs.readFileSync(filePath, 'utf8') });
+}
+
+async function useFixtureData(page) {
+  await page.route('**/sets.json', route => fulfillFile(route, path.join(FIXTURES_DIR, 'sets.json')));
+
+  await page.route('**/data/**', route => {
+    const { pathname } = new URL(route.request().url());
+    const relative = pathname.slice(pathname.indexOf('/data/') + '/data/'.length);
+    return fulfillFile(route, path.join(FIXTURES_DIR, 'data', relative));
+  });
+
+  await page.route('https://api.scryfall.com/**', route => {
+    const query = new URL(route.request().url()).searchParams.get('q') || '';
+    const match = Object.keys(SCRYFALL_FIXTURES).find(key => query.startsWith(key));
+    return fulfillFile(route, match ? path.join(FIXTURES_DIR, 'scryfall', SCRYFALL_FIXTURES[match]) : '');
+  });
+
+  // Card images and the shared stylesheet aren't needed to test behavior
+  await page.route('https://cards.scryfall.io/**', route => route.abort());
+  await page.route('https://bensonperry.com/**', route => route.fulfill({ status: 200, contentType: 'text/css', body: '' }));
+}
+
+const test = base.test.extend({
+  page: async ({ page }, use) => {
+    if (!isLive) await useFixtureData(page);
+    await use(page);
+  },
+});
+
+// Wait for the loading indicator to have 'hidden' class (meaning loading is done)
+async function waitForCardsLoaded(page) {
+  await page.waitForFunction(
+    () => document.getElementById('loading')?.classList.contains('hidden') &&
+      document.getElementById('set-select')?.value,
+    { timeout: 15000 }
+  );
+  // Small delay for render
+  await page.waitForTimeout(300);
+}
+
+module.exports = { test, expect: base.expect, isLive, waitForCardsLoaded };
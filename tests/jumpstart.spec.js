@@ -0,0 +1,31 @@
+const { test, expect, isLive, waitForCardsLoaded } = require('./fixture-mode');
+
+// Counts and prices from tests/fixtures/data - these only hold in fixture mode
+test.skip(isLive, 'asserts exact fixture prices');
+
+test.describe('Jumpstart Themes', () => {
+  test('Lists each theme with its guaranteed cards, rare options and EV', async ({ page }) => {
+    await page.goto('/?set=j25&min=1');
+    await waitForCardsLoaded(page);
+
+    const themes = page.locator('#jumpstart-themes');
+    await expect(themes).toBeVisible();
+    await expect(themes.locator('.themes-summary')).toHaveText(/^2 themes · average theme ~\$\d+\.\d{2}$/);
+    await expect(themes.locator('.theme-name')).toHaveText(['goblins', 'angels']);
+    await expect(themes.locator('td.theme-ev')).toHaveText([/^\$\d+\.\d{2}$/, /^\$\d+\.\d{2}$/]);
+
+    const angels = themes.locator('tr', { hasText: 'angels' });
+    await expect(angels.locator('td').nth(2)).toContainText('+11 bulk');
+    await expect(angels.locator('td').nth(3)).toContainText('1 of 3');
+
+    await angels.locator('.theme-card', { hasText: 'lyra dawnbringer' }).click();
+    await expect(page.locator('#card-detail')).toBeVisible();
+  });
+
+  test('Other sets have no theme list', async ({ page }) => {
+    await page.goto('/?set=blb');
+    await waitForCardsLoaded(page);
+
+    await expect(page.locator('#jumpstart-themes')).toBeHidden();
+  });
+});
@@ -0,0 +1,31 @@
+const { test, expect, isLive, waitForCardsLoaded } = require('./fixture-mode');
+
+// Counts and prices from tests/fixtures/data - these only hold in fixture mode
+test.skip(isLive, 'asserts exact fixture prices');
+
+test.describe('Languages', () => {
+  test('Shows Japanese printings and their EV from the language cache', async ({ page }) => {
+    await page.goto('/?set=mkm&booster=play&min=2&lang=ja');
+    await waitForCardsLoaded(page);
+
+    await expect(page.locator('#lang-mode')).toHaveValue('ja');
+    // Japanese Undercity Sewers only clears $2 in foil, and there's no Pick Your Poison
+    await expect(page.locator('#card-count')).toHaveText('showing 2 cards');
+    await expect(page.locator('.card-prices').first()).toContainText('$48.00');
+    await expect(page.locator('#pack-ev .ev-value')).toHaveText(/^~\$\d+\.\d{2}$/);
+    await expect(page.locator('#ev-history')).toHaveClass(/hidden/);
+  });
+
+  test('Switching language keeps it in the URL', async ({ page }) => {
+    await page.goto('/?set=mkm&booster=play&min=2');
+    await waitForCardsLoaded(page);
+    const englishEV = await page.locator('#pack-ev .ev-value').textContent();
+
+    await page.locator('#lang-mode').selectOption('ja');
+    await waitForCardsLoaded(page);
+
+    expect(new URL(page.url()).searchParams.get('lang')).toBe('ja');
+    // Japanese printings are priced on their own
+    await expect(page.locator('#pack-ev .ev-value')).not.toHaveText(englishEV);
+  });
+});
@@ -0,0 +1,52 @@
+const { test, expect, isLive, waitForCardsLoaded } = require('./fixture-mode');
+
+// Counts and prices from tests/fixtures/data - these only hold in fixture mode
+test.skip(isLive, 'asserts exact fixture prices');
+
+test.describe('Lottery Cards', () => {
+  test('Lists serialized cards with their odds and leaves them out of EV by default', async ({ page }) => {
+    await page.goto('/?set=dsk&booster=collector&min=2');
+    await waitForCardsLoaded(page);
+
+    const lottery = page.locator('#lottery');
+    await expect(lottery).toBeVisible();
+    await expect(lottery.locator('.lottery-card')).toHaveCount(1);
+    await expect(lottery.locator('.lottery-name')).toHaveText('overlord of the balemurk');
+    await expect(lottery.locator('.lottery-odds')).toHaveText('1 in 5,000 packs · 1 in 417 boxes');
+    await expect(page.locator('#lottery-toggle')).toBeVisible();
+    await expect(page.locator('.card[data-id="dsk-400"]')).toHaveCount(0);
+    await expect(page.locator('#pack-ev .ev-slot')).toHaveText([/^rare \$/, /^collector exclusive \$/]);
+  });
+
+  test('Counting lottery cards in adds their slot to EV', async ({ page }) => {
+    await page.goto('/?set=dsk&booster=collector&min=2');
+    await waitForCardsLoaded(page);
+
+    const excludedEV = await page.locator('#pack-ev .ev-value').textContent();
+
+    await page.click('#lottery-toggle .toggle-btn[data-value="include"]');
+    await expect(page.locator('#pack-ev .ev-value')).not.toHaveText(excludedEV);
+    await expect(page.locator('#pack-ev .ev-slot')).toHaveText([/^rare \$/, /^collector exclusive \$/, /^serialized \$/]);
+    expect(new URL(page.url()).searchParams.get('lottery')).toBe('include');
+  });
+
+  test('Without published odds there is no EV toggle and including changes nothing', async ({ page }) => {
+    // otj has no booster slots, so its serialized Oko can't be weighted
+    await page.goto('/?set=otj&booster=collector&min=2&lottery=include');
+    await waitForCardsLoaded(page);
+
+    const lottery = page.locator('#lottery');
+    await expect(lottery.locator('.lottery-name')).toHaveText('oko, the ringleader');
+    await expect(lottery.locator('.lottery-odds')).toHaveText('odds not published');
+    await expect(lottery.locator('.lottery-note')).toContainText("odds aren't published");
+    await expect(page.locator('#lottery-toggle')).toBeHidden();
+    await expect(page.locator('#pack-ev .ev-slot')).toHaveText([/^rare\/mythic \$/, /^foil \$/]);
+  });
+
+  test('Sets without lottery cards hide the section', async ({ page }) => {
+    await page.goto('/?set=blb');
+    await waitForCardsLoaded(page);
+
+    await expect(page.locator('#lottery')).toBeHidden();
+  });
+});
@@ -0,0 +1,32 @@
+const { test, expect, isLive, waitForCardsLoaded } = require('./fixture-mode');
+
+// Counts and prices from tests/fixtures/data - these only hold in fixture mode
+test.skip(isLive, 'asserts exact fixture prices');
+
+test.describe('Markets', () => {
+  test('Prices cards, thresholds and EV in the market from the URL', async ({ page }) => {
+    await page.goto('/?set=mkm&booster=play&min=2&market=eur');
+    await waitForCardsLoaded(page);
+
+    await expect(page.locator('#market-toggle .toggle-btn.active')).toHaveText('€ cardmarket');
+    await expect(page.locator('#price-toggle .toggle-btn.active')).toHaveText('€2');
+    // Pick Your Poison's foil has no Cardmarket price, so only Delney and Undercity Sewers clear €2
+    await expect(page.locator('#card-count')).toHaveText('showing 2 cards');
+    await expect(page.locator('.card-prices').first()).toContainText('foil €40.00');
+    await expect(page.locator('#pack-ev .ev-value')).toHaveText(/^~€\d+\.\d{2}$/);
+    await expect(page.locator('#pack-ev .ev-slot')).toHaveText([/^rare\/mythic €/, /^foil €/]);
+    await expect(page.locator('#pack-ev .tcg-link')).toHaveText('buy on cardmarket');
+  });
+
+  test('Switching market reprices the view and keeps it in the URL', async ({ page }) => {
+    await page.goto('/?set=mkm&booster=play&min=2');
+    await waitForCardsLoaded(page);
+
+    await page.locator('#market-toggle .toggle-btn[data-value="tix"]').click();
+    await waitForCardsLoaded(page);
+
+    expect(new URL(page.url()).searchParams.get('market')).toBe('tix');
+    await expect(page.locator('#card-count')).toHaveText('showing 1 card');
+    await expect(page.locator('#pack-ev .ev-value')).toHaveText(/^~\d+\.\d{2} tix$/);
+  });
+});
@@ -1,4 +1,4 @@
-const { test, expect } = require('@playwright/test');
+const { test, expect } = require('./fixture-mode');
 
 test('MH3 retro frame cards appear', async ({ page }) => {
   await page.goto('/?set=mh3&booster=play&min=2');
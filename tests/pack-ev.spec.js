@@ -0,0 +1,42 @@
+const { test, expect, isLive, waitForCardsLoaded } = require('./fixture-mode');
+
+// Which sets have booster slots comes from tests/fixtures/data - this only holds in fixture mode.
+// The EV figures themselves are checked in tests/unit/core.test.mjs.
+test.skip(isLive, 'asserts exact fixture prices');
+
+test.describe('Pack EV', () => {
+  test('Shows the rare/mythic rate model when a set has no booster slots', async ({ page }) => {
+    await page.goto('/?set=blb&booster=play&min=2');
+    await waitForCardsLoaded(page);
+
+    await expect(page.locator('#pack-ev .ev-value')).toHaveText(/^~\$\d+\.\d{2}$/);
+    await expect(page.locator('#pack-ev .ev-slot')).toHaveText([/^rare\/mythic \$\d+\.\d{2}$/, /^foil \$\d+\.\d{2}$/]);
+  });
+
+  test('Break-even odds match the simulator for the same opening', async ({ page }) => {
+    await page.goto('/?set=blb&booster=play');
+    await waitForCardsLoaded(page);
+
+    await page.fill('#cost-price', '5');
+    const breakEven = page.locator('#roi .roi-value').nth(2);
+    await expect(breakEven).toHaveText(/%$/);
+
+    // Both read the same cached simulation, so they agree exactly
+    await page.locator('#pack-ev .sim-link').click();
+    await expect(page.locator('#sim-results .sim-odds')).toHaveText(await breakEven.textContent());
+  });
+
+  test('Shows booster slots when a set has them', async ({ page }) => {
+    await page.goto('/?set=dsk&booster=play&min=2');
+    await waitForCardsLoaded(page);
+
+    await expect(page.locator('#pack-ev .ev-slot')).toHaveText([/^rare \$/, /^wildcard \$/]);
+  });
+
+  test('Collector boosters use the collector slots', async ({ page }) => {
+    await page.goto('/?set=dsk&booster=collector&min=2');
+    await waitForCardsLoaded(page);
+
+    await expect(page.locator('#pack-ev .ev-slot')).toHaveText([/^rare \$/, /^collector exclusive \$/]);
+  });
+});
@@ -1,8 +1,8 @@
-const { test, expect } = require('@playwright/test');
+const { test, expect, waitForCardsLoaded } = require('./fixture-mode');
 
 // Test cards that should appear in play boosters
 // These are expensive cards with different treatments across key sets
-// Prices are approximate and may change - the key is that they're above typical min thresholds
+// Fixture prices match these; live prices may change - the key is that they're above typical min thresholds
 const TEST_CARDS = {
   mkm: [
     { name: 'delney, streetwise lookout', cn: '12', minPrice: 30 },
@@ -34,17 +34,6 @@ const SPECIAL_GUESTS = {
   ],
 };
 
-// Helper to wait for cards to finish loading
-async function waitForCardsLoaded(page) {
-  // Wait for loading indicator to have 'hidden' class (meaning loading is done)
-  await page.waitForFunction(
-    () => document.getElementById('loading')?.classList.contains('hidden'),
-    { timeout: 15000 }
-  );
-  // Small delay for render
-  await page.waitForTimeout(300);
-}
-
 test.describe('Play Booster Card Visibility', () => {
   test.beforeEach(async ({ page }) => {
     page.setDefaultTimeout(15000);
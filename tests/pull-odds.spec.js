@@ -0,0 +1,29 @@
+const { test, expect, isLive, waitForCardsLoaded } = require('./fixture-mode');
+
+// Counts and prices from tests/fixtures/data - these only hold in fixture mode
+test.skip(isLive, 'asserts exact fixture prices');
+
+test.describe('Pull Odds', () => {
+  test('Shows pack and box odds on each tile', async ({ page }) => {
+    await page.goto('/?set=blb&booster=play&min=2');
+    await waitForCardsLoaded(page);
+
+    const maha = page.locator('.card', { hasText: 'maha, its feathers night' });
+    await expect(maha.locator('.card-odds')).toHaveText('1 in 14 packs · 93% per box');
+    // The rate model has no uncommon slot, so there are no odds to show
+    await expect(page.locator('.card', { hasText: 'bulk uncommon' }).locator('.card-odds')).toHaveCount(0);
+  });
+
+  test('Sorts by odds instead of price', async ({ page }) => {
+    await page.goto('/?set=blb&booster=play&min=2');
+    await waitForCardsLoaded(page);
+
+    await page.locator('#sort-mode').selectOption('odds');
+    await waitForCardsLoaded(page);
+
+    await expect(page.locator('.card-name')).toHaveText([
+      "artist's talent", 'maha, its feathers night', 'lumra, bellow of the woods', 'bulk uncommon',
+    ]);
+    expect(new URL(page.url()).searchParams.get('sort')).toBe('odds');
+  });
+});
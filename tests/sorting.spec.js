@@ -0,0 +1,35 @@
+const { test, expect, isLive, waitForCardsLoaded } = require('./fixture-mode');
+
+// Counts and prices from tests/fixtures/data - these only hold in fixture mode
+test.skip(isLive, 'asserts exact fixture prices');
+
+test.describe('Sorting and Grouping', () => {
+  test('Sorts by collector number', async ({ page }) => {
+    await page.goto('/?set=blb&booster=play&min=2&sort=number');
+    await waitForCardsLoaded(page);
+
+    await expect(page.locator('#sort-mode')).toHaveValue('number');
+    await expect(page.locator('.card-name')).toHaveText([
+      'bulk uncommon', 'maha, its feathers night', "artist's talent", 'lumra, bellow of the woods',
+    ]);
+  });
+
+  test('Groups by rarity with subtotals', async ({ page }) => {
+    await page.goto('/?set=blb&booster=play&min=2');
+    await waitForCardsLoaded(page);
+
+    await page.locator('#group-mode').selectOption('rarity');
+    await waitForCardsLoaded(page);
+
+    await expect(page.locator('.card-group-name')).toHaveText(['mythic', 'rare', 'uncommon']);
+    await expect(page.locator('.card-group-total').first()).toHaveText(/^2 cards · \$82\.00 · ev \$\d+\.\d{2}$/);
+    expect(new URL(page.url()).searchParams.get('group')).toBe('rarity');
+  });
+
+  test('Groups special guests into their own section', async ({ page }) => {
+    await page.goto('/?set=blb&booster=play&min=2&list=include&group=source');
+    await waitForCardsLoaded(page);
+
+    await expect(page.locator('.card-group-name')).toHaveText(['special guests', 'main set']);
+  });
+});
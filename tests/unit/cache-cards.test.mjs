@@ -0,0 +1,241 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createRequire } from 'node:module';
+import { fileURLToPath } from 'node:url';
+
+const require = createRequire(import.meta.url);
+const { main, readBulkCards } = require('../../scripts/cache-cards.js');
+
+// A few dsk printings (English and Japanese), dmu and j25 printings in Scryfall's bulk card format, and the searches API mode
+// makes for them recorded as card ids (most valuable first, like order=usd)
+const fixtures = fileURLToPath(new URL('../fixtures/bulk/', import.meta.url));
+const bulkFile = path.join(fixtures, 'default-cards.json');
+const bulkCards = JSON.parse(fs.readFileSync(bulkFile, 'utf8'));
+const searches = JSON.parse(fs.readFileSync(path.join(fixtures, 'searches.json'), 'utf8'));
+const PAGE_SIZE = 4;
+
+// Serve recorded searches, a few cards per page so pagination is exercised
+function scryfallStub(url) {
+  const params = new URL(url).searchParams;
+  const ids = searches[params.get('q')];
+  if (!ids) throw new Error('Unrecorded search: ' + params.get('q'));
+  const page = parseInt(params.get('page') || '1', 10);
+  const hasMore = page * PAGE_SIZE < ids.length;
+  return Response.json({
+    object: 'list',
+    total_cards: ids.length,
+    has_more: hasMore,
+    next_page: hasMore ? url.replace(/&page=\d+$/, '') + '&page=' + (page + 1) : undefined,
+    data: ids.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE).map(id => bulkCards.find(card => card.id === id)),
+  });
+}
+
+async function runCache(t, args) {
+  const out = fs.mkdtempSync(path.join(os.tmpdir(), 'packcracker-cache-'));
+  t.after(() => fs.rmSync(out, { recursive: true, force: true }));
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  await main(['--sets=dsk', '--out=' + out, '--booster-data=' + path.join(fixtures, 'booster-data'), ...args]);
+  return out;
+}
+
+const readJSON = (dir, file) => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+const withoutTime = data => ({ ...data, updated: null });
+
+describe('cache script', () => {
+  test('builds the same set file and history from a bulk file as from the search API', async (t) => {
+    t.mock.method(globalThis, 'fetch', async url => scryfallStub(url));
+    const fromApi = await runCache(t, ['--sets=dsk,dmu', '--langs=ja']);
+    t.mock.restoreAll();
+    t.mock.method(globalThis, 'fetch', async url => { throw new Error('Unexpected fetch: ' + url); });
+    const fromBulk = await runCache(t, ['--sets=dsk,dmu', '--bulk=' + bulkFile, '--langs=ja']);
+
+    for (const file of ['dsk.json', 'ja/dsk.json', 'dmu.json']) {
+      assert.deepEqual(withoutTime(readJSON(fromBulk, file)), withoutTime(readJSON(fromApi, file)));
+    }
+    assert.deepEqual(readJSON(fromBulk, 'history/dsk.json'), readJSON(fromApi, 'history/dsk.json'));
+    assert.deepEqual(readJSON(fromBulk, 'history/dmu.json'), readJSON(fromApi, 'history/dmu.json'));
+    assert.equal(readJSON(fromBulk, 'manifest.json').source, 'bulk');
+  });
+
+  test('caches every English dsk printing priced in any market, with bulk counted per rarity', async (t) => {
+    const out = await runCache(t, ['--bulk=' + bulkFile]);
+    const { getCachedCardList } = await import('../../lib/core.js');
+    const data = readJSON(out, 'dsk.json');
+    const names = type => getCachedCardList(data, type).map(card => card.name + ' ' + card.collector_number);
+
+    assert.deepEqual(names('play'), [
+      'Overlord of the Balemurk 113', 'Valgavoth, Terror Eater 120',
+      'Hauntwoods Shrieker // Shrieker Unleashed 204', 'Fear of Missing Out 136',
+      'Unholy Annex // Ritual Chamber 231', 'Unidentified Hovership 99',
+      'Enduring Curiosity 58', 'Commune with Spirits 81', 'Twitching Doll 201',
+    ]);
+    assert.deepEqual(names('collector').slice(9), [
+      'Overlord of the Balemurk 330', 'Leyline of the Void 386', 'Enduring Innocence 376',
+    ]);
+    assert.deepEqual(data.counts.play, { common: 2, uncommon: 1, rare: 5, mythic: 3 });
+    // Collector boosters have a booster data layout, so they need no counts
+    assert.equal(data.slots.collector.length, 2);
+    assert.equal(data.counts.collector, undefined);
+
+    // Only worth keeping for its Cardmarket price
+    assert.deepEqual(getCachedCardList(data, 'play')[8].finishes, [
+      { type: 'nonfoil', price: 0.3, eur: 0.8, tix: 0.02 },
+      { type: 'foil', price: 0.45 },
+    ]);
+
+    const shrieker = getCachedCardList(data, 'play')[2];
+    assert.deepEqual(shrieker.faces, [
+      'https://cards.scryfall.io/normal/front/3/c/3c4d5e6f-7a8b-4c9d-8e0f-1a2b3c4d5e6f.jpg',
+      'https://cards.scryfall.io/normal/back/3/c/3c4d5e6f-7a8b-4c9d-8e0f-1a2b3c4d5e6f.jpg',
+    ]);
+  });
+
+  test('caches Japanese printings in their own file with --langs, without price history', async (t) => {
+    const out = await runCache(t, ['--bulk=' + bulkFile, '--langs']);
+    const { getCachedCardList } = await import('../../lib/core.js');
+    const data = readJSON(out, 'ja/dsk.json');
+    const cards = getCachedCardList(data, 'play');
+
+    assert.equal(data.lang, 'ja');
+    assert.deepEqual(cards.map(card => card.name + ' ' + card.collector_number), [
+      'Overlord of the Balemurk 113', 'Fear of Missing Out 136',
+    ]);
+    assert.equal(cards[0].uri, 'https://scryfall.com/card/dsk/113/ja');
+    // Rarity counts come from the English file, as slot layouts do
+    assert.equal(data.counts, undefined);
+    assert.equal(readJSON(out, 'manifest.json').files['ja/dsk'].cards, 2);
+
+    const history = readJSON(out, 'history/dsk.json');
+    assert.ok(cards.every(card => !history.prices[card.id]));
+    assert.equal(readJSON(out, 'dsk.json').lang, undefined);
+  });
+
+  test('leaves out booster layouts with a slot whose finish rates are missing', async (t) => {
+    // A copy of the booster data whose dsk collector rare slot doesn't say how often it's foil
+    const boosterData = fs.mkdtempSync(path.join(os.tmpdir(), 'packcracker-booster-data-'));
+    t.after(() => fs.rmSync(boosterData, { recursive: true, force: true }));
+    fs.cpSync(path.join(fixtures, 'booster-data'), boosterData, { recursive: true });
+    const collector = readJSON(boosterData, 'boosters/dsk-collector.json');
+    delete collector.slots[0].rates;
+    fs.writeFileSync(path.join(boosterData, 'boosters', 'dsk-collector.json'), JSON.stringify(collector));
+
+    const out = await runCache(t, ['--bulk=' + bulkFile, '--booster-data=' + boosterData]);
+    const data = readJSON(out, 'dsk.json');
+    assert.equal(data.slots.collector, null);
+    // EV falls back to the rarity model, which needs the collector counts
+    assert.deepEqual(Object.keys(data.counts), ['play', 'collector']);
+  });
+
+  test('caches draft, set and collector boosters separately for set booster era sets', async (t) => {
+    const out = await runCache(t, ['--sets=dsk,dmu', '--bulk=' + bulkFile]);
+    const { getCachedCardList } = await import('../../lib/core.js');
+    const data = readJSON(out, 'dmu.json');
+    const names = type => getCachedCardList(data, type).map(card => card.name + ' ' + card.collector_number);
+
+    assert.deepEqual(names('play'), ['Sheoldred, the Apocalypse 107', 'Liliana of the Veil 97']);
+    // Showcase cards are in set boosters, extended art only in collector boosters
+    assert.deepEqual(names('set_booster'), [...names('play'), 'Liliana of the Veil 301']);
+    assert.deepEqual(names('collector'), [...names('set_booster'), 'Sheoldred, the Apocalypse 341']);
+    assert.deepEqual(data.counts.set_booster, { common: 1, uncommon: 0, rare: 0, mythic: 3 });
+    // No set booster layout in the booster data, so no set booster EV is recorded
+    assert.deepEqual(Object.keys(readJSON(out, 'history/dmu.json').ev), ['play', 'collector']);
+
+    // Play booster era sets keep just play and collector
+    assert.equal(readJSON(out, 'dsk.json').set_booster, undefined);
+    assert.deepEqual(Object.keys(readJSON(out, 'dsk.json').counts), ['play']);
+  });
+
+  test('caches Jumpstart themes from booster data with the printings each range covers', async (t) => {
+    const out = await runCache(t, ['--sets=dsk,j25', '--bulk=' + bulkFile]);
+
+    assert.deepEqual(readJSON(out, 'j25.json').themes, [
+      { name: 'Angels', cards: ['12', '20-30'], rares: ['5', '40-41'], size: { cards: 12, rares: 3 } },
+      { name: 'Goblins', cards: ['50-59'], rares: ['60'], size: { cards: 10, rares: 1 } },
+    ]);
+    assert.equal(readJSON(out, 'dsk.json').themes, undefined);
+  });
+
+  test('caches only English by default', async (t) => {
+    const out = await runCache(t, ['--bulk=' + bulkFile]);
+    assert.ok(!fs.existsSync(path.join(out, 'ja')));
+    assert.deepEqual(Object.keys(readJSON(out, 'manifest.json').files), ['dsk']);
+  });
+
+  test('leaves unchanged set files alone and reports what changed', async (t) => {
+    const out = await runCache(t, ['--bulk=' + bulkFile]);
+    const setFile = path.join(out, 'dsk.json');
+    const firstRun = fs.readFileSync(setFile, 'utf8');
+    const firstManifest = readJSON(out, 'manifest.json');
+    assert.deepEqual(firstManifest.files.dsk, { updated: JSON.parse(firstRun).updated, cards: 12, added: 12, removed: 0, repriced: 0 });
+
+    await main(['--sets=dsk', '--out=' + out, '--booster-data=' + path.join(fixtures, 'booster-data'), '--bulk=' + bulkFile]);
+    assert.equal(fs.readFileSync(setFile, 'utf8'), firstRun);
+    assert.deepEqual(readJSON(out, 'manifest.json').files.dsk, { ...firstManifest.files.dsk, added: 0 });
+
+    const repriced = path.join(out, 'repriced.json');
+    fs.writeFileSync(repriced, fs.readFileSync(bulkFile, 'utf8').replace('"usd":"21.00"', '"usd":"25.00"'));
+    await main(['--sets=dsk', '--out=' + out, '--booster-data=' + path.join(fixtures, 'booster-data'), '--bulk=' + repriced]);
+    assert.notEqual(fs.readFileSync(setFile, 'utf8'), firstRun);
+    assert.equal(readJSON(out, 'manifest.json').files.dsk.repriced, 1);
+  });
+
+  test('keeps manifest entries for sets a run does not cache', async (t) => {
+    const out = await runCache(t, ['--bulk=' + bulkFile]);
+    const dsk = readJSON(out, 'manifest.json').files.dsk;
+
+    await main(['--sets=dmu', '--out=' + out, '--booster-data=' + path.join(fixtures, 'booster-data'), '--bulk=' + bulkFile]);
+    const { files } = readJSON(out, 'manifest.json');
+    assert.deepEqual(Object.keys(files), ['dsk', 'dmu']);
+    assert.deepEqual(files.dsk, dsk);
+  });
+
+  test('only adds a history day when prices or EV moved', async (t) => {
+    const out = await runCache(t, ['--bulk=' + bulkFile]);
+    const historyFile = path.join(out, 'history', 'dsk.json');
+    const run = bulk => main(['--sets=dsk', '--out=' + out, '--booster-data=' + path.join(fixtures, 'booster-data'), '--bulk=' + bulk]);
+
+    // Pretend the first run was yesterday
+    const history = readJSON(out, 'history/dsk.json');
+    const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    fs.writeFileSync(historyFile, JSON.stringify({ ...history, dates: [yesterday] }));
+    const before = fs.readFileSync(historyFile, 'utf8');
+
+    await run(bulkFile);
+    assert.equal(fs.readFileSync(historyFile, 'utf8'), before);
+
+    const repriced = path.join(out, 'repriced.json');
+    fs.writeFileSync(repriced, fs.readFileSync(bulkFile, 'utf8').replace('"usd":"21.00"', '"usd":"25.00"'));
+    await run(repriced);
+    assert.equal(readJSON(out, 'history/dsk.json').dates.length, 2);
+  });
+
+  test('trims history to a year by date, however few days were recorded', async (t) => {
+    const out = await runCache(t, ['--bulk=' + bulkFile]);
+    const historyFile = path.join(out, 'history', 'dsk.json');
+    const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+    // Two earlier days, one outside the window, with a different price so today is recorded
+    const history = readJSON(out, 'history/dsk.json');
+    const [id] = Object.keys(history.prices);
+    const finish = Object.keys(history.prices[id])[0];
+    history.dates = [daysAgo(400), daysAgo(30)];
+    history.prices = { [id]: { [finish]: [1, 1] } };
+    history.ev = {};
+    fs.writeFileSync(historyFile, JSON.stringify(history));
+
+    await main(['--sets=dsk', '--out=' + out, '--booster-data=' + path.join(fixtures, 'booster-data'), '--bulk=' + bulkFile]);
+    const trimmed = readJSON(out, 'history/dsk.json');
+    assert.deepEqual(trimmed.dates, [daysAgo(30), daysAgo(0)]);
+    assert.equal(trimmed.prices[id][finish][0], 1);
+  });
+
+  test('reads bulk cards across chunk boundaries', async () => {
+    const cards = [];
+    await readBulkCards(bulkFile, card => cards.push(card), 7);
+    assert.deepEqual(cards, bulkCards);
+  });
+});
@@ -0,0 +1,540 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import {
+  convertCachedCard,
+  encodeCacheData,
+  getCachedCardList,
+  getCachedCards,
+  getCardTreatment,
+  expandCardFinishes,
+  filterAndSortCards,
+  calculatePackEV,
+  buildPackModel,
+  getCardPullOdds,
+  addCardOdds,
+  sortCards,
+  groupCards,
+  getCardSource,
+  formatPrice,
+  calculateThemeValues,
+  isLotteryCard,
+} from '../../lib/core.js';
+
+// Minimal Scryfall-shaped card; prices are strings like the API returns
+function makeCard(id, rarity, prices, overrides = {}) {
+  return {
+    id,
+    name: id,
+    set: 'tst',
+    rarity,
+    collector_number: id.replace(/\D/g, '') || '1',
+    finishes: Object.keys(prices),
+    prices: {
+      usd: prices.nonfoil ?? null,
+      usd_foil: prices.foil ?? null,
+      usd_etched: prices.etched ?? null,
+    },
+    frame_effects: [],
+    border_color: 'black',
+    ...overrides,
+  };
+}
+
+const approx = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+describe('expandCardFinishes', () => {
+  test('returns one entry per priced finish', () => {
+    const expanded = expandCardFinishes([makeCard('c1', 'rare', { nonfoil: '3.00', foil: '7.50' })]);
+
+    assert.deepEqual(expanded.map(c => [c.finishKey, c.price, c.isFoil, c.treatment]), [
+      ['nonfoil', 3, false, 'Regular'],
+      ['foil', 7.5, true, 'Foil'],
+    ]);
+  });
+
+  test('skips finishes without a price or with a zero price', () => {
+    const expanded = expandCardFinishes([makeCard('c1', 'rare', { nonfoil: null, foil: '0.00' })]);
+    assert.equal(expanded.length, 0);
+  });
+
+  test('skips prices for finishes the card is not printed in', () => {
+    const card = makeCard('c1', 'rare', { nonfoil: '3.00' });
+    card.prices.usd_foil = '9.00';
+
+    assert.deepEqual(expandCardFinishes([card]).map(c => c.finishKey), ['nonfoil']);
+  });
+
+  test('labels etched finishes as etched, not foil', () => {
+    const [etched] = expandCardFinishes([makeCard('c1', 'rare', { etched: '12.00' })]);
+
+    assert.equal(etched.finishKey, 'etched');
+    assert.equal(etched.isFoil, false);
+    assert.equal(etched.treatment, 'Etched');
+  });
+});
+
+describe('filterAndSortCards', () => {
+  const cards = [
+    makeCard('c1', 'rare', { nonfoil: '4.00', foil: '10.00' }),
+    makeCard('c2', 'mythic', { nonfoil: '25.00' }),
+    makeCard('c3', 'uncommon', { nonfoil: '0.50', foil: '3.00' }),
+    makeCard('c4', 'common', { nonfoil: '0.10' }),
+    makeCard('c5', 'Rare', { etched: '6.00' }),
+  ];
+
+  test('drops finishes under the minimum price', () => {
+    const result = filterAndSortCards(cards, { minPrice: 5 });
+
+    assert.deepEqual(result.map(c => c.id), ['c2', 'c1', 'c5']);
+    assert.deepEqual(result.find(c => c.id === 'c1').finishPrices, [{ type: 'foil', price: 10 }]);
+  });
+
+  test('groups finishes by card id, highest first', () => {
+    const c1 = filterAndSortCards(cards, { minPrice: 1 }).find(c => c.id === 'c1');
+
+    assert.deepEqual(c1.finishPrices, [{ type: 'foil', price: 10 }, { type: 'regular', price: 4 }]);
+    assert.equal(c1.maxPrice, 10);
+    assert.equal(c1.isFoil, true);
+    assert.equal(c1.treatment, 'Foil');
+  });
+
+  test('sorts by each card\'s most valuable finish', () => {
+    const result = filterAndSortCards(cards);
+    assert.deepEqual(result.map(c => c.id), ['c2', 'c1', 'c5', 'c3', 'c4']);
+  });
+
+  test('excludes rares and mythics regardless of case', () => {
+    const result = filterAndSortCards(cards, { rarities: ['common', 'uncommon'] });
+    assert.deepEqual(result.map(c => c.id), ['c3', 'c4']);
+  });
+
+  test('excludes foils but keeps etched', () => {
+    const result = filterAndSortCards(cards, { minPrice: 2, excludeFoils: true });
+
+    assert.deepEqual(result.map(c => c.id), ['c2', 'c5', 'c1']);
+    assert.deepEqual(result.find(c => c.id === 'c5').finishPrices, [{ type: 'etched', price: 6 }]);
+  });
+
+  test('drops finishes over the maximum price', () => {
+    const result = filterAndSortCards(cards, { minPrice: 2, maxPrice: 8 });
+
+    assert.deepEqual(result.map(c => c.id), ['c5', 'c1', 'c3']);
+    assert.deepEqual(result.find(c => c.id === 'c1').finishPrices, [{ type: 'regular', price: 4 }]);
+  });
+
+  test('keeps only the chosen rarities', () => {
+    const result = filterAndSortCards(cards, { rarities: ['mythic', 'uncommon'] });
+    assert.deepEqual(result.map(c => c.id), ['c2', 'c3']);
+  });
+
+  test('keeps only one finish', () => {
+    assert.deepEqual(filterAndSortCards(cards, { finish: 'foil' }).map(c => c.id), ['c1', 'c3']);
+    assert.deepEqual(filterAndSortCards(cards, { finish: 'etched' }).map(c => c.id), ['c5']);
+  });
+
+  test('keeps cards with any of the chosen treatments', () => {
+    const treated = [
+      makeCard('s1', 'rare', { nonfoil: '5.00' }, { frame_effects: ['showcase'] }),
+      makeCard('b1', 'rare', { nonfoil: '4.00' }, { border_color: 'borderless' }),
+      makeCard('o1', 'rare', { nonfoil: '3.00' }, { frame: '1997' }),
+      makeCard('e1', 'rare', { etched: '2.00' }),
+      makeCard('p1', 'rare', { nonfoil: '1.00' }, { frame: '2015' }),
+    ];
+
+    assert.deepEqual(filterAndSortCards(treated, { treatments: ['showcase', 'retro'] }).map(c => c.id), ['s1', 'o1']);
+    assert.deepEqual(filterAndSortCards(treated, { treatments: ['borderless', 'etched'] }).map(c => c.id), ['b1', 'e1']);
+  });
+
+  test('searches card names case-insensitively', () => {
+    const named = [
+      makeCard('x1', 'rare', { nonfoil: '5.00' }, { name: 'Sylvan Tutor' }),
+      makeCard('x2', 'rare', { nonfoil: '4.00' }, { name: 'Sword of Fire and Ice' }),
+    ];
+    assert.deepEqual(filterAndSortCards(named, { search: '  TUTOR ' }).map(c => c.name), ['Sylvan Tutor']);
+  });
+});
+
+describe('markets', () => {
+  const card = makeCard('r1', 'rare', { nonfoil: '8.00', foil: '20.00' });
+  card.prices = { ...card.prices, eur: '6.00', eur_foil: null, tix: '1.50' };
+
+  test('prices finishes in the chosen market', () => {
+    assert.deepEqual(expandCardFinishes([card], 'eur').map(c => [c.finishKey, c.price]), [['nonfoil', 6]]);
+    assert.deepEqual(expandCardFinishes([card], 'tix').map(c => [c.finishKey, c.price]), [['nonfoil', 1.5]]);
+    assert.deepEqual(filterAndSortCards([card], { minPrice: 2, market: 'tix' }), []);
+  });
+
+  test('computes pack EV from the chosen market', () => {
+    // 0.875 * 6 / 1, and no foil price on Cardmarket
+    approx(calculatePackEV([card], null, null, 'eur').total, 5.25);
+  });
+
+  test('formats amounts in the market currency', () => {
+    assert.equal(formatPrice(1.5), '$1.50');
+    assert.equal(formatPrice(1.5, 'eur'), '€1.50');
+    assert.equal(formatPrice(12, 'tix', 0), '12 tix');
+  });
+});
+
+describe('calculatePackEV', () => {
+  test('uses rare/mythic and foil rates when there are no booster slots', () => {
+    const ev = calculatePackEV([
+      makeCard('r1', 'rare', { nonfoil: '8.00', foil: '20.00' }),
+      makeCard('r2', 'rare', { nonfoil: '2.00' }),
+      makeCard('m1', 'mythic', { nonfoil: '40.00', foil: '100.00' }),
+      makeCard('u1', 'uncommon', { nonfoil: '5.00' }),
+    ]);
+
+    // 0.875 * (8 + 2) / 2 + 0.125 * 40 / 1
+    approx(ev.slots[0].ev, 4.375 + 5);
+    // 0.10 * 20 / 1 + 0.02 * 100 / 1
+    approx(ev.slots[1].ev, 2 + 2);
+    approx(ev.total, 13.375);
+  });
+
+  test('divides by the rarity counts when they cover cards the list leaves out', () => {
+    const cards = [
+      makeCard('r1', 'rare', { nonfoil: '8.00', foil: '20.00' }),
+      makeCard('r2', 'rare', { nonfoil: '2.00' }),
+      makeCard('m1', 'mythic', { nonfoil: '40.00', foil: '100.00' }),
+    ];
+    const ev = calculatePackEV(cards, null, { rare: 50, mythic: 1 });
+
+    // 0.875 * (8 + 2) / 50 + 0.125 * 40 / 1
+    approx(ev.slots[0].ev, 0.175 + 5);
+    // 0.10 * 20 / 50 + 0.02 * 100 / 1
+    approx(ev.slots[1].ev, 0.04 + 2);
+    // Counts lower than the cards we know about don't shrink the pool
+    approx(calculatePackEV(cards, null, { rare: 1 }).total, 13.375);
+  });
+
+  test('has no EV for set boosters without booster slots', () => {
+    const cards = [makeCard('r1', 'rare', { nonfoil: '8.00', foil: '20.00' })];
+    assert.deepEqual(buildPackModel(cards, null, null, 'usd', 'set_booster'), []);
+    assert.deepEqual(calculatePackEV(cards, null, null, 'usd', 'set_booster'), { total: 0, slots: [] });
+    // Draft boosters of the same set keep the rare/mythic rate model
+    approx(calculatePackEV(cards, null, null, 'usd', 'play').total, 0.875 * 8 + 0.10 * 20);
+  });
+
+  test('weights each slot by finish rate over the printed pool size', () => {
+    const slots = [
+      { name: 'rare', set: 'tst', count: 1, rates: { nonfoil: 1 }, pool: { nonfoil: ['1-10'] }, size: { nonfoil: 10 } },
+      { name: 'wildcard', set: 'tst', count: 2, rates: { nonfoil: 0.75, foil: 0.25 }, pool: { nonfoil: ['1-20'], foil: ['1-20'] }, size: { nonfoil: 20, foil: 20 } },
+    ];
+    const ev = calculatePackEV([
+      makeCard('c5', 'rare', { nonfoil: '10.00', foil: '40.00' }),
+      makeCard('c15', 'uncommon', { nonfoil: '2.00' }),
+      makeCard('c30', 'mythic', { nonfoil: '99.00' }), // outside every pool
+    ], slots);
+
+    assert.deepEqual(ev.slots.map(s => s.name), ['rare', 'wildcard']);
+    approx(ev.slots[0].ev, 10 / 10);
+    // Two wildcards: nonfoil 0.75 * (10 + 2) / 20, foil 0.25 * 40 / 20
+    approx(ev.slots[1].ev, 2 * (0.45 + 0.5));
+    approx(ev.total, 2.9);
+  });
+
+  test('ignores cards from other sets in a slot', () => {
+    const slots = [{ name: 'rare', set: 'tst', count: 1, rates: { nonfoil: 1 }, pool: { nonfoil: ['1-10'] }, size: { nonfoil: 10 } }];
+    const ev = calculatePackEV([makeCard('c5', 'rare', { nonfoil: '10.00' }, { set: 'spg' })], slots);
+
+    assert.equal(ev.total, 0);
+  });
+
+  test('never spreads a pool thinner than the cards found in it', () => {
+    const slots = [{ name: 'rare', set: 'tst', count: 1, rates: { nonfoil: 1 }, pool: { nonfoil: ['1-10'] }, size: { nonfoil: 1 } }];
+    const ev = calculatePackEV([
+      makeCard('c1', 'rare', { nonfoil: '4.00' }),
+      makeCard('c2', 'rare', { nonfoil: '6.00' }),
+    ], slots);
+
+    approx(ev.total, 5);
+  });
+});
+
+describe('lottery cards', () => {
+  const serialized = makeCard('m9', 'mythic', { foil: '900.00' }, { promo_types: ['serialized'] });
+
+  test('are found by promo type or by a serialized booster-data slot', () => {
+    const slots = [
+      { name: 'serialized', set: 'tst', count: 1, rates: { foil: 0.01 }, pool: { foil: ['400-410'] }, size: { foil: 11 } },
+    ];
+    assert.ok(isLotteryCard(serialized));
+    assert.ok(isLotteryCard(makeCard('c400', 'mythic', { foil: '500.00' }), slots));
+    assert.ok(!isLotteryCard(makeCard('c400', 'mythic', { foil: '500.00' }, { set: 'other' }), slots));
+    assert.ok(!isLotteryCard(makeCard('c5', 'mythic', { nonfoil: '5.00' }), slots));
+  });
+
+  test('stay out of the rare slot model, which has no odds for them', () => {
+    const cards = [makeCard('m1', 'mythic', { nonfoil: '10.00' })];
+    const counts = { rare: 10, mythic: 5 };
+    approx(calculatePackEV([...cards, serialized], null, counts).total, calculatePackEV(cards, null, counts).total);
+  });
+
+  test('leave headliners and other collector treatments in EV', () => {
+    const headliner = makeCard('m2', 'mythic', { foil: '40.00' }, { promo_types: ['headliner'] });
+    const cards = [makeCard('m1', 'mythic', { nonfoil: '10.00' })];
+    const counts = { rare: 10, mythic: 5 };
+    assert.ok(!isLotteryCard(headliner));
+    assert.ok(calculatePackEV([...cards, headliner], null, counts).total > calculatePackEV(cards, null, counts).total);
+  });
+});
+
+// The cache files the browser suite serves, so the EV it shows is checked here
+const readFixture = file => JSON.parse(fs.readFileSync(new URL('../fixtures/data/' + file, import.meta.url), 'utf8'));
+const cents = value => Math.round(value * 100) / 100;
+
+// Pack EV of a fixture set as the cards view works it out: lottery cards left out unless
+// included, and other languages using the English file's slots and counts
+function getFixturePackEV(setCode, boosterType, { market = 'usd', lang = 'en', lottery = false } = {}) {
+  const english = readFixture(setCode + '.json');
+  const data = lang === 'en' ? english : readFixture(lang + '/' + setCode + '.json');
+  const slots = english.slots?.[boosterType];
+  const cards = getCachedCards(data, boosterType).filter(card => lottery || !isLotteryCard(card, slots));
+  const { total, slots: breakdown } = calculatePackEV(cards, slots, english.counts?.[boosterType], market, boosterType);
+  return { total: cents(total), slots: Object.fromEntries(breakdown.map(slot => [slot.name, cents(slot.ev)])) };
+}
+
+describe('fixture set EV', () => {
+  test('uses the rare/mythic rate model when a set has no booster slots', () => {
+    assert.deepEqual(getFixturePackEV('blb', 'play'), { total: 21.76, slots: { 'rare/mythic': 18.94, foil: 2.82 } });
+    assert.deepEqual(getFixturePackEV('dmu', 'play'), { total: 0.71, slots: { 'rare/mythic': 0.59, foil: 0.12 } });
+  });
+
+  test('divides by every printing of a rarity when the cache has counts', () => {
+    // mkm caches 2 rares and 1 mythic but records 60 rares and 20 mythics in play boosters
+    assert.deepEqual(getFixturePackEV('mkm', 'play'), { total: 0.53, slots: { 'rare/mythic': 0.45, foil: 0.08 } });
+  });
+
+  test('uses booster slot rates when a set has them', () => {
+    assert.deepEqual(getFixturePackEV('dsk', 'play'), { total: 0.49, slots: { rare: 0.29, wildcard: 0.19 } });
+    assert.deepEqual(getFixturePackEV('dsk', 'collector'), {
+      total: 1.31, slots: { rare: 0.36, collectorExclusive: 0.95, serialized: 0 },
+    });
+  });
+
+  test('counts lottery cards in only when included and their odds are published', () => {
+    assert.deepEqual(getFixturePackEV('dsk', 'collector', { lottery: true }), {
+      total: 1.51, slots: { rare: 0.36, collectorExclusive: 0.95, serialized: 0.2 },
+    });
+    // otj has no booster slots, so its serialized Oko can't be weighted
+    assert.deepEqual(getFixturePackEV('otj', 'collector'), { total: 5.12, slots: { 'rare/mythic': 4.31, foil: 0.81 } });
+    assert.deepEqual(getFixturePackEV('otj', 'collector', { lottery: true }), getFixturePackEV('otj', 'collector'));
+  });
+
+  test('prices EV in the selected market', () => {
+    assert.deepEqual(getFixturePackEV('mkm', 'play', { market: 'eur' }), { total: 0.42, slots: { 'rare/mythic': 0.38, foil: 0.04 } });
+    assert.deepEqual(getFixturePackEV('mkm', 'play', { market: 'tix' }), { total: 0.02, slots: { 'rare/mythic': 0.02, foil: 0 } });
+  });
+
+  test('prices Japanese printings against the English pool', () => {
+    assert.deepEqual(getFixturePackEV('mkm', 'play', { lang: 'ja' }), { total: 0.39, slots: { 'rare/mythic': 0.32, foil: 0.08 } });
+  });
+
+  test('has none for set boosters without a booster data layout', () => {
+    assert.deepEqual(getFixturePackEV('dmu', 'set_booster'), { total: 0, slots: {} });
+  });
+
+  test('values each Jumpstart theme from its cards and rare options', () => {
+    const data = readFixture('j25.json');
+    const values = calculateThemeValues(getCachedCards(data, 'play'), data.themes);
+    // Goblins: $2.50 guaranteed + its only rare at $4; Angels: $1.50 + $6 over 3 rare options
+    assert.deepEqual(values.map(theme => [theme.name, cents(theme.ev)]), [['Goblins', 6.5], ['Angels', 3.5]]);
+  });
+});
+
+describe('getCardPullOdds', () => {
+  test('combines every slot and finish a card can appear in', () => {
+    const slots = [
+      { name: 'rare', set: 'tst', count: 1, rates: { nonfoil: 1 }, pool: { nonfoil: ['1-10'] }, size: { nonfoil: 10 } },
+      { name: 'wildcard', set: 'tst', count: 2, rates: { nonfoil: 0.5, foil: 0.5 }, pool: { nonfoil: ['1-20'], foil: ['1-20'] }, size: { nonfoil: 20, foil: 20 } },
+    ];
+    const model = buildPackModel([makeCard('c5', 'rare', { nonfoil: '10.00', foil: '40.00' })], slots);
+    const odds = getCardPullOdds(model, 'c5');
+
+    approx(odds.finishes.nonfoil, 1 - 0.9 * 0.975 ** 2);
+    approx(odds.finishes.foil, 1 - 0.975 ** 2);
+    approx(odds.pack, 1 - 0.9 * 0.95 ** 2);
+  });
+
+  test('is zero for cards outside the model', () => {
+    const model = buildPackModel([makeCard('u1', 'uncommon', { nonfoil: '5.00' })]);
+    assert.deepEqual(getCardPullOdds(model, 'u1'), { pack: 0, finishes: {} });
+  });
+});
+
+describe('calculateThemeValues', () => {
+  const themes = [
+    { name: 'angels', cards: ['1-3'], rares: ['10-13'], size: { cards: 3, rares: 4 } },
+    { name: 'goblins', cards: ['20-22'], rares: ['30'], size: { cards: 3, rares: 1 } },
+  ];
+  const cards = [
+    makeCard('c1', 'uncommon', { nonfoil: '2.00', foil: '8.00' }),
+    makeCard('c10', 'rare', { nonfoil: '4.00' }),
+    makeCard('c11', 'mythic', { foil: '12.00' }),
+    makeCard('c21', 'common', { nonfoil: '0.50' }),
+    makeCard('c30', 'rare', { nonfoil: '3.00' }),
+  ];
+
+  test('adds the guaranteed cards to the average rare option, most valuable theme first', () => {
+    const [angels, goblins] = calculateThemeValues(cards, themes);
+
+    assert.equal(angels.name, 'angels');
+    // $2 nonfoil (not the foil), plus ($4 + the $12 foil-only mythic) over 4 options
+    approx(angels.ev, 2 + 16 / 4);
+    assert.deepEqual(angels.rares.map(card => card.id), ['c11', 'c10']);
+    assert.equal(angels.bulk, 2);
+    assert.equal(angels.rareCount, 4);
+    approx(goblins.ev, 3.5);
+  });
+
+  test('prices themes in the selected market', () => {
+    const eurCards = [makeCard('c30', 'rare', {}, { prices: { eur: '5.00' }, finishes: ['nonfoil'] })];
+    const goblins = calculateThemeValues(eurCards, themes, 'eur').find(theme => theme.name === 'goblins');
+    approx(goblins.ev, 5);
+  });
+});
+
+describe('sortCards', () => {
+  const cards = [
+    makeCard('m1', 'mythic', { nonfoil: '40.00' }),
+    makeCard('r1', 'rare', { nonfoil: '8.00' }),
+    makeCard('r2', 'rare', { nonfoil: '3.00' }),
+    makeCard('u1', 'uncommon', { nonfoil: '5.00' }),
+  ];
+  const model = buildPackModel(cards);
+  const withOdds = addCardOdds(filterAndSortCards(cards), model);
+
+  test('attaches pack odds and EV contribution', () => {
+    const r1 = withOdds.find(c => c.id === 'r1');
+    approx(r1.pullOdds, 0.875 / 2);
+    approx(r1.ev, 0.875 * 8 / 2);
+    assert.equal(withOdds.find(c => c.id === 'u1').pullOdds, 0);
+  });
+
+  test('sorts by price, odds or EV', () => {
+    assert.deepEqual(sortCards(withOdds, 'price').map(c => c.id), ['m1', 'r1', 'u1', 'r2']);
+    // r1 and r2 share odds, so price breaks the tie
+    assert.deepEqual(sortCards(withOdds, 'odds').map(c => c.id), ['r1', 'r2', 'm1', 'u1']);
+    assert.deepEqual(sortCards(withOdds, 'ev').map(c => c.id), ['m1', 'r1', 'r2', 'u1']);
+  });
+
+  test('sorts by name, collector number or rarity', () => {
+    const numbered = [
+      { ...withOdds[0], name: 'b', collector_number: '10' },
+      { ...withOdds[1], name: 'c', collector_number: '9a' },
+      { ...withOdds[2], name: 'a', collector_number: '100' },
+    ];
+    assert.deepEqual(sortCards(numbered, 'name').map(c => c.name), ['a', 'b', 'c']);
+    assert.deepEqual(sortCards(numbered, 'number').map(c => c.collector_number), ['9a', '10', '100']);
+    assert.deepEqual(sortCards(withOdds, 'rarity').map(c => c.id), ['m1', 'r1', 'r2', 'u1']);
+  });
+
+  test('sorts by price change with unknown changes last', () => {
+    const changed = withOdds.map((card, i) => ({ ...card, priceChange: [5, null, -10, 20][i] }));
+    assert.deepEqual(sortCards(changed, 'change').map(c => c.priceChange), [20, 5, -10, null]);
+  });
+});
+
+describe('groupCards', () => {
+  const cards = addCardOdds(filterAndSortCards([
+    makeCard('c1', 'rare', { nonfoil: '4.00', foil: '10.00' }),
+    makeCard('c2', 'mythic', { nonfoil: '25.00' }, { frame_effects: ['showcase'] }),
+    makeCard('c3', 'rare', { nonfoil: '6.00' }),
+    makeCard('g1', 'mythic', { nonfoil: '30.00' }, { set: 'spg' }),
+  ]), buildPackModel([]));
+
+  test('keeps one unnamed group when not grouping', () => {
+    const groups = groupCards(cards, 'none');
+    assert.equal(groups.length, 1);
+    assert.equal(groups[0].name, null);
+    assert.equal(groups[0].cards.length, 4);
+  });
+
+  test('orders rarity groups and sums their prices', () => {
+    const groups = groupCards(cards, 'rarity');
+    assert.deepEqual(groups.map(g => [g.name, g.cards.length, g.total]), [['mythic', 2, 55], ['rare', 2, 16]]);
+  });
+
+  test('groups by treatment, top finish and source sheet', () => {
+    assert.deepEqual(groupCards(cards, 'treatment').map(g => g.name), ['special guest', 'showcase', 'regular']);
+    assert.deepEqual(groupCards(cards, 'finish').map(g => [g.name, g.cards.map(c => c.id)]), [
+      ['regular', ['g1', 'c2', 'c3']],
+      ['foil', ['c1']],
+    ]);
+    assert.deepEqual(groupCards(cards, 'source').map(g => g.name), ['special guests', 'main set']);
+  });
+
+  test('names retro and bonus sheet cards by their sheet', () => {
+    assert.equal(getCardSource({ set: 'mh3', _fromRetroSheet: true }), 'retro frame');
+    assert.equal(getCardSource({ set: 'tle', _fromBonusSheet: true }), 'bonus sheet');
+  });
+});
+
+describe('convertCachedCard', () => {
+  test('round-trips cached finishes and treatments', () => {
+    const card = convertCachedCard({
+      id: 'x', name: 'Card', set: 'tst', collector_number: '7', rarity: 'rare', booster: true,
+      image: 'img', uri: 'uri',
+      finishes: [{ type: 'nonfoil', price: 1.5 }, { type: 'etched', price: 4 }],
+      showcase: true, borderless: true,
+    });
+
+    assert.deepEqual(card.finishes, ['nonfoil', 'etched']);
+    assert.deepEqual(card.prices, {
+      usd: '1.5', usd_foil: null, usd_etched: '4',
+      eur: null, eur_foil: null, eur_etched: null, tix: null,
+    });
+    assert.equal(getCardTreatment(card, false), 'Showcase, Borderless');
+    assert.equal(getCardTreatment(card, true), 'Showcase, Borderless, Foil');
+  });
+
+  test('keeps both face images for double-faced cards', () => {
+    const card = convertCachedCard({
+      id: 'x', name: 'Front // Back', set: 'tst', collector_number: '7', rarity: 'rare',
+      image: 'front', faces: ['front', 'back'], tcgplayer_id: 123,
+      finishes: [{ type: 'nonfoil', price: 1 }],
+    });
+
+    assert.deepEqual(card.card_faces.map(face => face.image_uris.normal), ['front', 'back']);
+    assert.equal(card.tcgplayer_id, 123);
+  });
+});
+
+describe('cache file format', () => {
+  const cached = (id, cn, overrides = {}) => ({
+    id, name: 'Card ' + cn, set: 'tst', collector_number: cn, rarity: 'rare', booster: true,
+    image: 'https://cards.scryfall.io/normal/front/' + id[0] + '/' + id[1] + '/' + id + '.jpg',
+    uri: 'https://scryfall.com/card/tst/' + encodeURIComponent(cn),
+    tcgplayer_id: 42, frame: '2015',
+    finishes: [{ type: 'nonfoil', price: 1.5 }, { type: 'foil', price: 3 }],
+    showcase: false, extendedart: false, inverted: false, borderless: false,
+    fullart: false, etched: false, promo: false, promo_types: [],
+    ...overrides,
+  });
+  const play = [cached('ab1', '1'), cached('cd2', '2★', { etched: true, borderless: true, finishes: [{ type: 'etched', price: 9 }] })];
+  const collectorOnly = cached('ef3', '300', {
+    faces: ['https://cards.scryfall.io/normal/front/e/f/ef3.jpg', 'https://cards.scryfall.io/normal/back/e/f/ef3.jpg'],
+    promo_types: ['surgefoil'],
+    // Only Cardmarket and MTGO price the nonfoil
+    finishes: [{ type: 'nonfoil', price: null, eur: 2.5, tix: 0.7 }, { type: 'foil', price: 3, eur: 4 }],
+  });
+  const cacheData = { set: 'tst', name: 'Test', updated: 'now', play, collector: [...play, collectorOnly], slots: { play: null, collector: null } };
+
+  test('stores each card once and round-trips the per-card objects', () => {
+    const data = JSON.parse(JSON.stringify(encodeCacheData(cacheData)));
+
+    assert.equal(data.cards.length, 3);
+    assert.deepEqual(data.play, [0, 1]);
+    assert.deepEqual(data.collector, [0, 1, 2]);
+    assert.deepEqual(getCachedCardList(data, 'play'), play);
+    assert.deepEqual(getCachedCardList(data, 'collector'), cacheData.collector);
+  });
+
+  test('reads files written before the compact format', () => {
+    assert.deepEqual(getCachedCardList(cacheData, 'collector'), cacheData.collector);
+    assert.deepEqual(getCachedCards(cacheData, 'play'), play.map(convertCachedCard));
+    assert.deepEqual(getCachedCardList(null, 'play'), []);
+  });
+});
@@ -0,0 +1,27 @@
+const { test, expect, waitForCardsLoaded } = require('./fixture-mode');
+
+test.describe('URL State', () => {
+  test('Restores filters from the URL', async ({ page }) => {
+    await page.goto('/?set=mkm&booster=collector&min=10&foils=exclude');
+    await waitForCardsLoaded(page);
+
+    await expect(page.locator('#set-input')).toHaveValue('murders at karlov manor');
+    await expect(page.locator('#booster-toggle .toggle-btn.active')).toHaveText('collector');
+    await expect(page.locator('#price-toggle .toggle-btn.active')).toHaveText('$10');
+    await expect(page.locator('#foils-toggle .toggle-btn.active')).toHaveText('exclude');
+  });
+
+  test('Writes filter changes back to the URL', async ({ page }) => {
+    await page.goto('/?set=blb&booster=play&min=2');
+    await waitForCardsLoaded(page);
+
+    await page.locator('#price-toggle .toggle-btn[data-value="10"]').click();
+    await page.locator('#foils-toggle .toggle-btn[data-value="exclude"]').click();
+    await waitForCardsLoaded(page);
+
+    const params = new URL(page.url()).searchParams;
+    expect(params.get('set')).toBe('blb');
+    expect(params.get('min')).toBe('10');
+    expect(params.get('foils')).toBe('exclude');
+  });
+});